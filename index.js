@@ -2,8 +2,19 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const twitchEventSub = require('./src/twitchEventSub');
+const twitchBot = require('./src/twitchBot');
 const spotifyClient = require('./src/spotifyClient');
 const blacklistManager = require('./src/blacklistManager');
+const rewardManager = require('./src/rewardManager');
+const rewardActions = require('./src/rewardActions');
+const chatNotifier = require('./src/chatNotifier');
+const requestPolicy = require('./src/requestPolicy');
+const trackRules = require('./src/trackRules');
+const queueHandoff = require('./src/queueHandoff');
+const playbackWatcher = require('./src/playbackWatcher');
+const viewerAuth = require('./src/viewerAuth');
+const viewerRequests = require('./src/viewerRequests');
+const requestApproval = require('./src/requestApproval');
 const authRoutes = require('./src/authRoutes');
 const setupTestRoutes = require('./src/testRoutes');
 
@@ -42,7 +53,8 @@ app.get('/api/status', (req, res) => {
   const twitchAuth = require('./src/twitchAuth');
   res.json({
     spotify: spotifyClient.isInitialized() ? 'connected' : 'disconnected',
-    twitch: twitchAuth.isInitialized() ? 'connected' : 'disconnected'
+    twitch: twitchAuth.isInitialized() ? 'connected' : 'disconnected',
+    eventSub: twitchEventSub.getSubscriptionState()
   });
 });
 
@@ -51,6 +63,179 @@ app.get('/queue', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'queue.html'));
 });
 
+// Viewer page for managing your own requests
+app.get('/my-requests', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'my-requests.html'));
+});
+
+// API endpoint to get the logged in viewer's requests
+app.get('/api/viewer/requests', (req, res) => {
+  const viewer = viewerAuth.getViewer(req);
+  if (!viewer) {
+    return res.status(401).json({
+      success: false,
+      error: 'Log in with Twitch to see your requests',
+      loginUrl: '/viewer/login'
+    });
+  }
+  
+  res.json({
+    success: true,
+    viewer,
+    graceSeconds: viewerRequests.getGraceSeconds(),
+    requests: viewerRequests.getRequests(viewer.displayName)
+  });
+});
+
+// API endpoint for a viewer to remove their most recent request
+app.post('/api/viewer/requests/:id/remove', (req, res) => {
+  const viewer = viewerAuth.getViewer(req);
+  if (!viewer) {
+    return res.status(401).json({
+      success: false,
+      error: 'Log in with Twitch to manage your requests'
+    });
+  }
+  
+  const result = viewerRequests.removeRequest(viewer.displayName, req.params.id);
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+  
+  res.json({
+    success: true,
+    message: `Removed "${result.trackName}" from the queue`,
+    requests: viewerRequests.getRequests(viewer.displayName)
+  });
+});
+
+// API endpoint for a viewer to replace their most recent request with another song
+app.post('/api/viewer/requests/:id/replace', async (req, res) => {
+  const viewer = viewerAuth.getViewer(req);
+  if (!viewer) {
+    return res.status(401).json({
+      success: false,
+      error: 'Log in with Twitch to manage your requests'
+    });
+  }
+  
+  const query = String((req.body || {}).query || '').trim();
+  if (!query) {
+    return res.status(400).json({
+      success: false,
+      error: 'Enter a song name or Spotify link'
+    });
+  }
+  if (!spotifyClient.isInitialized()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Song requests aren\'t available right now'
+    });
+  }
+  
+  const result = await viewerRequests.replaceRequest(viewer.displayName, query, (replacement, options) =>
+    spotifyClient.addSongToQueue(replacement, viewer.displayName, {
+      ...options,
+      requester: { userId: viewer.userId },
+      source: 'web'
+    }),
+    req.params.id
+  );
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+  
+  res.json({
+    success: true,
+    message: result.pendingApproval
+      ? `"${result.trackName}" by ${result.artistName} is waiting for a moderator to approve it`
+      : `Replaced your request with "${result.trackName}" by ${result.artistName}`,
+    requests: viewerRequests.getRequests(viewer.displayName)
+  });
+});
+
+// Moderator page for reviewing requests in moderated mode
+app.get('/approvals', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'approvals.html'));
+});
+
+// API endpoint to get the requests waiting for approval
+app.get('/api/approvals', async (req, res) => {
+  const moderator = await viewerAuth.getModerator(req, res);
+  if (!moderator) {
+    return;
+  }
+  
+  res.json({
+    success: true,
+    moderator,
+    settings: requestApproval.getSettings(),
+    approvals: requestApproval.getPending()
+  });
+});
+
+// API endpoint to approve a request, adding it to the queue
+app.post('/api/approvals/:id/approve', async (req, res) => {
+  const moderator = await viewerAuth.getModerator(req, res);
+  if (!moderator) {
+    return;
+  }
+  
+  const result = await requestApproval.approve(req.params.id, moderator.displayName);
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+  
+  res.json({
+    success: true,
+    message: `Approved "${result.trackName}" by ${result.artistName}`,
+    approvals: requestApproval.getPending()
+  });
+});
+
+// API endpoint to deny a request, refunding its redemption
+app.post('/api/approvals/:id/deny', async (req, res) => {
+  const moderator = await viewerAuth.getModerator(req, res);
+  if (!moderator) {
+    return;
+  }
+  
+  const result = await requestApproval.deny(req.params.id, moderator.displayName);
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+  
+  res.json({
+    success: true,
+    message: `Denied "${result.trackName}" by ${result.artistName}`,
+    approvals: requestApproval.getPending()
+  });
+});
+
+// API endpoint to get the request approval settings
+app.get('/api/request-approval', (req, res) => {
+  res.json({
+    success: true,
+    settings: requestApproval.getSettings(),
+    pendingCount: requestApproval.getPending().length
+  });
+});
+
+// API endpoint to update the request approval settings
+app.post('/api/request-approval', async (req, res) => {
+  if (!await viewerAuth.getModerator(req, res, '/auth-streamer')) {
+    return;
+  }
+  
+  const settings = requestApproval.updateSettings(req.body || {});
+  res.json({
+    success: true,
+    message: 'Request approval settings saved successfully',
+    settings,
+    pendingCount: requestApproval.getPending().length
+  });
+});
+
 // API endpoint to get the current song and queue
 app.get('/api/spotify/queue', async (req, res) => {
   try {
@@ -65,16 +250,10 @@ app.get('/api/spotify/queue', async (req, res) => {
     // Get currently playing track
     const currentlyPlaying = await spotifyClient.getCurrentlyPlaying();
     
-    // Get our local queue
+    // Get our local queue, which the playback watcher keeps in step with what's playing,
+    // with when each request should play
     const queueStore = require('./src/queueStore');
-    const localQueue = queueStore.getQueue();
-    
-    // Check if current song matches first in queue and remove if needed
-    // Also handle skipped songs in the queue
-    let queueResult = { matched: false, skipped: [] };
-    if (currentlyPlaying && currentlyPlaying.item) {
-      queueResult = queueStore.checkAndRemoveCurrentlyPlaying(currentlyPlaying);
-    }
+    const localQueue = queueStore.getQueueWithEta(currentlyPlaying);
     
     // Get the requester info for the currently playing song
     const currentSongInfo = queueStore.getCurrentlyPlaying();
@@ -84,7 +263,8 @@ app.get('/api/spotify/queue', async (req, res) => {
       success: true,
       currentlyPlaying,
       currentSongInfo,
-      shadowQueue: localQueue
+      shadowQueue: localQueue,
+      appHeldQueue: queueStore.isAppHeld()
     };
     
     res.json(response);
@@ -115,7 +295,11 @@ app.get('/api/blacklist', (req, res) => {
 });
 
 // API endpoint to update the blacklist
-app.post('/api/blacklist', express.json(), (req, res) => {
+app.post('/api/blacklist', express.json(), async (req, res) => {
+  if (!await viewerAuth.getModerator(req, res, '/auth-streamer')) {
+    return;
+  }
+  
   try {
     const { blacklist } = req.body;
     
@@ -150,8 +334,232 @@ app.post('/api/blacklist', express.json(), (req, res) => {
   }
 });
 
+// API endpoint to get the song request reward
+app.get('/api/reward', (req, res) => {
+  res.json({
+    success: true,
+    reward: rewardManager.getRewardState()
+  });
+});
+
+// API endpoint to update the song request reward settings
+app.post('/api/reward', async (req, res) => {
+  if (!await viewerAuth.getModerator(req, res, '/auth-streamer')) {
+    return;
+  }
+  
+  try {
+    await rewardManager.updateSettings(req.body || {});
+    res.json({
+      success: true,
+      message: 'Reward updated successfully',
+      reward: rewardManager.getRewardState()
+    });
+  } catch (error) {
+    console.error('Error updating reward:', error);
+    res.status(500).json({
+      success: false,
+      error: error.response ? JSON.stringify(error.response.data) : error.message
+    });
+  }
+});
+
+// API endpoint to pause or resume the song request reward
+app.post('/api/reward/pause', async (req, res) => {
+  if (!await viewerAuth.getModerator(req, res, '/auth-streamer')) {
+    return;
+  }
+  
+  try {
+    const { paused } = req.body;
+    await rewardManager.setManuallyPaused(paused);
+    res.json({
+      success: true,
+      reward: rewardManager.getRewardState()
+    });
+  } catch (error) {
+    console.error('Error pausing reward:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to get the actions mapped to channel point rewards
+app.get('/api/reward-actions', async (req, res) => {
+  try {
+    const rewards = await rewardManager.listChannelRewards();
+    res.json({
+      success: true,
+      songRequestRewardId: rewardManager.getRewardId(),
+      actions: rewardManager.getRewardActions(),
+      availableActions: rewardActions.listActions(),
+      rewards
+    });
+  } catch (error) {
+    console.error('Error getting reward actions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.response ? JSON.stringify(error.response.data) : error.message
+    });
+  }
+});
+
+// API endpoint to map channel point rewards to actions
+app.post('/api/reward-actions', async (req, res) => {
+  if (!await viewerAuth.getModerator(req, res, '/auth-streamer')) {
+    return;
+  }
+  
+  const { actions } = req.body || {};
+
+  if (!actions || typeof actions !== 'object') {
+    return res.status(400).json({
+      success: false,
+      error: 'actions must be an object of reward ID to action name'
+    });
+  }
+
+  // Drop unmapped rewards and reject unknown actions
+  const mapped = {};
+  for (const [id, actionName] of Object.entries(actions)) {
+    if (!actionName) {
+      continue;
+    }
+    if (!rewardActions.getAction(actionName)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown action: ${actionName}`
+      });
+    }
+    mapped[id] = actionName;
+  }
+
+  rewardManager.setRewardActions(mapped);
+  res.json({
+    success: true,
+    message: 'Reward actions updated successfully',
+    actions: rewardManager.getRewardActions()
+  });
+});
+
+// API endpoint to get the chat message settings
+app.get('/api/chat-messages', (req, res) => {
+  res.json({
+    success: true,
+    ...chatNotifier.getConfig()
+  });
+});
+
+// API endpoint to update the chat message settings
+app.post('/api/chat-messages', async (req, res) => {
+  if (!await viewerAuth.getModerator(req, res, '/auth-streamer')) {
+    return;
+  }
+  
+  try {
+    const config = chatNotifier.updateConfig(req.body || {});
+    res.json({
+      success: true,
+      message: 'Chat messages updated successfully',
+      ...config
+    });
+  } catch (error) {
+    console.error('Error updating chat messages:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to get the request policy
+app.get('/api/request-policy', (req, res) => {
+  res.json({
+    success: true,
+    ...requestPolicy.getPolicy()
+  });
+});
+
+// API endpoint to update the request policy
+app.post('/api/request-policy', async (req, res) => {
+  if (!await viewerAuth.getModerator(req, res, '/auth-streamer')) {
+    return;
+  }
+  
+  try {
+    const { policy } = req.body || {};
+    
+    if (!policy || typeof policy !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'policy must be an object'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Request policy updated successfully',
+      ...requestPolicy.getPolicy(),
+      policy: requestPolicy.updatePolicy(policy)
+    });
+  } catch (error) {
+    console.error('Error updating request policy:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to get the track content rules
+app.get('/api/rules', (req, res) => {
+  res.json({
+    success: true,
+    rules: trackRules.getRules(),
+    linkPolicyOptions: trackRules.getLinkPolicyOptions()
+  });
+});
+
+// API endpoint to update the track content rules
+app.post('/api/rules', async (req, res) => {
+  if (!await viewerAuth.getModerator(req, res, '/auth-streamer')) {
+    return;
+  }
+  
+  const { rules } = req.body || {};
+
+  if (!rules || typeof rules !== 'object') {
+    return res.status(400).json({
+      success: false,
+      error: 'rules must be an object'
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      message: 'Track rules updated successfully',
+      rules: trackRules.updateRules(rules),
+      linkPolicyOptions: trackRules.getLinkPolicyOptions()
+    });
+  } catch (error) {
+    // Invalid keyword patterns are the streamer's to fix
+    console.error('Error updating track rules:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // API endpoint to clear the queue
-app.post('/api/spotify/queue/clear', (req, res) => {
+app.post('/api/spotify/queue/clear', async (req, res) => {
+  if (!await viewerAuth.getModerator(req, res, '/auth-streamer')) {
+    return;
+  }
+  
   try {
     const queueStore = require('./src/queueStore');
     const result = queueStore.clearQueue();
@@ -169,6 +577,68 @@ app.post('/api/spotify/queue/clear', (req, res) => {
   }
 });
 
+// API endpoint to remove a request from the queue
+app.post('/api/spotify/queue/:id/remove', async (req, res) => {
+  if (!await viewerAuth.getModerator(req, res, '/auth-streamer')) {
+    return;
+  }
+  
+  const queueStore = require('./src/queueStore');
+  const index = queueStore.findRequestById(req.params.id);
+  
+  if (index === -1) {
+    return res.status(404).json({
+      success: false,
+      error: 'Request not found'
+    });
+  }
+  
+  const request = queueStore.vetoRequest(index, 'the streamer');
+  res.json({
+    success: true,
+    message: `Removed "${request.trackName}" from the queue`,
+    queue: queueStore.getQueue().filter(pending => !pending.vetoed)
+  });
+});
+
+// API endpoint to move a request to a new position in the queue (app-held queue only)
+app.post('/api/spotify/queue/:id/move', async (req, res) => {
+  if (!await viewerAuth.getModerator(req, res, '/auth-streamer')) {
+    return;
+  }
+  
+  const queueStore = require('./src/queueStore');
+  const index = queueStore.findRequestById(req.params.id);
+  const position = parseInt((req.body || {}).position, 10);
+  
+  if (index === -1) {
+    return res.status(404).json({
+      success: false,
+      error: 'Request not found'
+    });
+  }
+  if (!(position >= 1)) {
+    return res.status(400).json({
+      success: false,
+      error: 'position must be a number from 1'
+    });
+  }
+  
+  try {
+    const request = queueStore.moveRequest(index, position);
+    res.json({
+      success: true,
+      message: `Moved "${request.trackName}" in the queue`,
+      queue: queueStore.getQueue().filter(pending => !pending.vetoed)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Test endpoint to add a song to the queue
 app.post('/api/test/song-request', express.json(), async (req, res) => {
   try {
@@ -237,6 +707,9 @@ if (process.env.TWITCH_CLIENT_ID && process.env.TWITCH_CLIENT_SECRET && process.
           twitchInitialized = true;
           console.log('Twitch EventSub initialized');
           
+          // Redemptions can be refunded now, so requests waiting for approval can expire
+          requestApproval.start();
+          
           // Get the callback URL based on environment
           const callbackUrl = process.env.NODE_ENV === 'production'
             ? `${process.env.APP_URL}/webhook/twitch`
@@ -244,7 +717,11 @@ if (process.env.TWITCH_CLIENT_ID && process.env.TWITCH_CLIENT_SECRET && process.
           
           // Check if we have a valid Twitch auth token
           const twitchAuth = require('./src/twitchAuth');
-          if (twitchAuth.isInitialized()) {
+          if (twitchAuth.isInitialized() && twitchEventSub.getTransport() === 'websocket') {
+            // Subscriptions are created once the WebSocket session is welcomed
+            console.log('Using the EventSub WebSocket transport');
+            twitchEventSub.startWebSocketTransport();
+          } else if (twitchAuth.isInitialized()) {
             // Subscribe to channel point redemptions
             twitchEventSub.subscribeToChannelPointRedemptions(callbackUrl)
               .then(subscriptionId => {
@@ -260,29 +737,64 @@ if (process.env.TWITCH_CLIENT_ID && process.env.TWITCH_CLIENT_SECRET && process.
         } else {
           console.log('Twitch EventSub not fully initialized. Please authenticate with Twitch at /auth/twitch');
         }
+        
+        if (twitchBot.isEnabled()) {
+          startChatBot();
+        }
       })
       .catch(error => {
         console.error('Failed to initialize Twitch EventSub:', error);
       });
   } else {
-    console.log('Using Twitch IRC for channel point redemptions');
-    // twitchBot.initialize(spotifyClient)
-    //   .then(() => {
-    //     twitchInitialized = true;
-    //     console.log('Twitch IRC bot initialized');
-    //   })
-    //   .catch(error => {
-    //     console.error('Failed to initialize Twitch IRC bot:', error);
-    //   });
+    console.log('Using Twitch IRC for song request commands');
+    
+    // Load the stored Twitch tokens so the bot can chat as the streamer
+    const twitchAuth = require('./src/twitchAuth');
+    twitchAuth.initialize()
+      .then(async (authInitialized) => {
+        requestApproval.start();
+        
+        // Moderator checks and role-based request limits look up roles in the broadcaster's channel
+        if (authInitialized) {
+          await twitchEventSub.initializeBroadcaster();
+        }
+      })
+      .catch(error => {
+        console.error('Failed to initialize Twitch authentication:', error);
+      })
+      .then(startChatBot);
   }
 }
 
+// Connect the chat bot for song request commands
+function startChatBot() {
+  twitchBot.initialize(spotifyClient)
+    .then((connected) => {
+      if (connected) {
+        twitchInitialized = true;
+        console.log('Twitch IRC bot initialized');
+      }
+    })
+    .catch(error => {
+      console.error('Failed to initialize Twitch IRC bot:', error);
+    });
+}
+
 // Initialize services
 async function initializeServices() {
   try {
     // Initialize Spotify client first to ensure authentication
     await spotifyClient.initialize();
     
+    // Follow playback in the background so the queue moves without the queue page open
+    playbackWatcher.start(spotifyClient);
+    
+    // Hand requests to Spotify one at a time if the app holds the queue
+    const queueStore = require('./src/queueStore');
+    if (queueStore.isAppHeld()) {
+      queueHandoff.start(spotifyClient);
+    }
+    
     // Note: Twitch EventSub is now initialized separately with proper user authentication
     
     // Initialize Google Sheets for leaderboards
@@ -3,6 +3,8 @@ const router = express.Router();
 const spotifyClient = require('./spotifyClient');
 const twitchAuth = require('./twitchAuth');
 const twitchEventSub = require('./twitchEventSub');
+const twitchBot = require('./twitchBot');
+const viewerAuth = require('./viewerAuth');
 const { v4: uuidv4 } = require('uuid');
 const { getSongLeaderboard, getUserLeaderboard } = require('./sheetsManager');
 
@@ -157,6 +159,22 @@ router.get('/twitch/callback', async (req, res) => {
         console.error('Error recreating EventSub subscriptions:', subscriptionError);
         // Continue with the authentication flow even if subscription recreation fails
       }
+      
+      // Create the song request reward now that we can manage channel points
+      try {
+        await twitchEventSub.setupSongRequestReward();
+      } catch (rewardError) {
+        console.error('Error setting up song request reward:', rewardError);
+      }
+      
+      // Reconnect the chat bot with the new token
+      if (twitchBot.isEnabled()) {
+        try {
+          await twitchBot.initialize(spotifyClient);
+        } catch (chatError) {
+          console.error('Error connecting to Twitch chat:', chatError);
+        }
+      }
       res.send(`
         <html>
           <head>
@@ -334,4 +352,33 @@ router.get('/twitch/callback', async (req, res) => {
   }
 });
 
+// Route for viewers logging in to manage their own requests, or moderators to review requests
+router.get('/viewer/login', (req, res) => {
+  res.redirect(viewerAuth.getAuthorizationUrl(req.query.returnTo));
+});
+
+// Callback route for viewer logins
+router.get('/viewer/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  
+  // Twitch sends an error instead of a code when the viewer cancels
+  if (error || !code) {
+    return res.redirect(`/my-requests?error=${encodeURIComponent('Twitch login was cancelled')}`);
+  }
+  
+  const result = await viewerAuth.handleCallback(code, state);
+  if (!result.success) {
+    return res.redirect(`${result.returnTo}?error=${encodeURIComponent(result.error)}`);
+  }
+  
+  viewerAuth.setSessionCookie(req, res, result.sessionId);
+  res.redirect(result.returnTo);
+});
+
+// Route for viewers logging out
+router.get('/viewer/logout', (req, res) => {
+  viewerAuth.logout(req, res);
+  res.redirect(req.query.returnTo === '/approvals' ? '/approvals' : '/my-requests');
+});
+
 module.exports = router;
@@ -0,0 +1,320 @@
+/**
+ * Chat Notifier Module
+ *
+ * Tells viewers in chat what happened to their song requests:
+ * - Builds messages from templates the streamer can edit on the dashboard
+ * - Sends through the chat bot if it's connected, otherwise Helix "Send Chat Message"
+ * - Rate limits messages per channel so the bot doesn't get throttled
+ */
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const twitchAuth = require('./twitchAuth');
+const queueStore = require('./queueStore');
+const spotifyClient = require('./spotifyClient');
+const { createRateLimiter } = require('./rateLimiter');
+
+// Configuration
+const TWITCH_CLIENT_ID = process.env.TWITCH_CLIENT_ID;
+const TWITCH_CHANNEL = process.env.TWITCH_CHANNEL;
+const CHAT_MESSAGES_PATH = process.env.CHAT_MESSAGES_PATH || path.join(__dirname, '..', 'chat-messages.json');
+
+// Twitch allows 20 messages per 30 seconds for accounts without mod or broadcaster status
+const RATE_LIMIT_MESSAGES = 20;
+const RATE_LIMIT_WINDOW_MS = 30 * 1000;
+
+// Default message templates. {placeholders} are filled in when the message is sent
+const DEFAULT_TEMPLATES = {
+  requestQueued: '@{user} queued "{track}" by {artist}, position {position}, plays in {eta}',
+  requestFailed: '@{user} couldn\'t request that song: {reason}',
+  requestRefunded: '@{user} couldn\'t request that song: {reason}. Your points were refunded',
+  requestPendingApproval: '@{user} "{track}" by {artist} is waiting for a moderator to approve it',
+  requestDenied: '@{user} "{track}" by {artist} wasn\'t approved',
+  requestExpired: '@{user} "{track}" by {artist} wasn\'t reviewed in time'
+};
+
+let broadcasterId = null;
+let enabled = true;
+let templates = { ...DEFAULT_TEMPLATES };
+
+// Rate limiters, keyed by channel
+const rateLimiters = new Map();
+
+/**
+ * Initialize the notifier for Helix chat messages
+ * @param {string} broadcaster - The broadcaster's Twitch user ID
+ */
+function initialize(broadcaster) {
+  broadcasterId = broadcaster;
+}
+
+/**
+ * Load the message settings from file
+ */
+function loadConfig() {
+  try {
+    if (fs.existsSync(CHAT_MESSAGES_PATH)) {
+      const config = JSON.parse(fs.readFileSync(CHAT_MESSAGES_PATH, 'utf8'));
+      enabled = config.enabled !== false;
+      templates = { ...DEFAULT_TEMPLATES, ...config.templates };
+    }
+  } catch (error) {
+    console.error('Error loading chat message settings:', error);
+  }
+}
+
+/**
+ * Save the message settings to file
+ */
+function saveConfig() {
+  try {
+    fs.writeFileSync(CHAT_MESSAGES_PATH, JSON.stringify({ enabled, templates }, null, 2));
+  } catch (error) {
+    console.error('Error saving chat message settings:', error);
+  }
+}
+
+/**
+ * Get the message settings for the dashboard
+ * @returns {Object} Whether messages are enabled, the templates and the defaults
+ */
+function getConfig() {
+  return {
+    enabled,
+    templates,
+    defaultTemplates: DEFAULT_TEMPLATES
+  };
+}
+
+/**
+ * Update the message settings
+ * @param {Object} config - The settings to change
+ * @param {boolean} config.enabled - Whether to send messages
+ * @param {Object} config.templates - Templates to change, empty templates reset to the default
+ * @returns {Object} The updated settings
+ */
+function updateConfig(config) {
+  if (config.enabled !== undefined) {
+    enabled = !!config.enabled;
+  }
+
+  if (config.templates) {
+    for (const [name, template] of Object.entries(config.templates)) {
+      if (!DEFAULT_TEMPLATES[name]) {
+        throw new Error(`Unknown message template: ${name}`);
+      }
+      templates[name] = String(template || '').trim() || DEFAULT_TEMPLATES[name];
+    }
+  }
+
+  saveConfig();
+  return getConfig();
+}
+
+/**
+ * Tell the requester what happened to their song request
+ * Results without a track (e.g. a skip) aren't announced when they succeed
+ * @param {string} username - The requester's display name
+ * @param {Object} result - The result from addSongToQueue or a reward action
+ * @param {Object} options - Notification options
+ * @param {boolean} options.refunded - Whether the viewer's points were refunded
+ * @returns {Promise<boolean>} Whether a message was sent
+ */
+async function notifyRequestResult(username, result, options = {}) {
+  if (!enabled) {
+    return false;
+  }
+
+  let message;
+  if (result.success) {
+    if (!result.trackId) {
+      return false;
+    }
+
+    if (result.pendingApproval) {
+      return send(formatTemplate(templates.requestPendingApproval, {
+        user: username,
+        track: result.trackName,
+        artist: result.artistName
+      }));
+    }
+
+    const { position, waitMs } = await estimateWait(result);
+    message = formatTemplate(templates.requestQueued, {
+      user: username,
+      track: result.trackName,
+      artist: result.artistName,
+      position,
+      eta: formatDuration(waitMs)
+    });
+  } else {
+    message = formatTemplate(options.refunded ? templates.requestRefunded : templates.requestFailed, {
+      user: username,
+      reason: result.error
+    });
+  }
+
+  return send(message);
+}
+
+/**
+ * Tell the requester their request wasn't approved
+ * @param {string} username - The requester's display name
+ * @param {Object} request - The song request
+ * @param {string} outcome - Either 'denied' by a moderator or 'expired' without being reviewed
+ * @returns {Promise<boolean>} Whether a message was sent
+ */
+async function notifyRequestReviewed(username, request, outcome) {
+  if (!enabled) {
+    return false;
+  }
+
+  const template = outcome === 'expired' ? templates.requestExpired : templates.requestDenied;
+  return send(formatTemplate(template, {
+    user: username,
+    track: request.trackName,
+    artist: request.artistName
+  }));
+}
+
+/**
+ * Fill in a template's {placeholders}
+ * Unknown placeholders are left as they are
+ * @param {string} template - The message template
+ * @param {Object} values - The placeholder values
+ * @returns {string} The message
+ */
+function formatTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    return values[name] !== undefined && values[name] !== null ? String(values[name]) : placeholder;
+  });
+}
+
+/**
+ * Estimate when a newly queued request will play
+ * @param {Object} result - The result of the request, with its requestId and trackId
+ * @returns {Promise<Object>} The request's position and the estimated wait in milliseconds
+ */
+async function estimateWait(result) {
+  // Count what's left of the current song
+  let currentlyPlaying = null;
+  try {
+    if (spotifyClient.isInitialized()) {
+      currentlyPlaying = await spotifyClient.getCurrentlyPlaying();
+    }
+  } catch (error) {
+    console.error('Error getting playback progress for the wait estimate:', error.message);
+  }
+
+  const pending = queueStore.getQueueWithEta(currentlyPlaying);
+
+  // Priority and fair ordering can put the request anywhere, so find it by ID where there is one
+  let entry = pending.find(request => request.id === result.requestId);
+  if (!entry) {
+    // Otherwise the new request is the last one with this track ID
+    entry = pending.filter(request => request.trackId === result.trackId).pop();
+  }
+
+  return entry ? { position: entry.position, waitMs: entry.etaMs } : { position: pending.length, waitMs: 0 };
+}
+
+/**
+ * Format a wait time for chat
+ * @param {number} ms - The wait in milliseconds
+ * @returns {string} e.g. "about 9 min"
+ */
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes < 1 ? 'less than a minute' : `about ${minutes} min`;
+}
+
+/**
+ * Send a chat message, respecting the channel's rate limit
+ * @param {string} message - The message to send
+ * @param {string} channel - The channel to send to (defaults to TWITCH_CHANNEL)
+ * @returns {Promise<boolean>} Whether the message was sent
+ */
+async function send(message, channel = TWITCH_CHANNEL) {
+  const key = String(channel).replace(/^#/, '').toLowerCase();
+
+  if (!rateLimiters.has(key)) {
+    rateLimiters.set(key, createRateLimiter(RATE_LIMIT_MESSAGES, RATE_LIMIT_WINDOW_MS));
+  }
+
+  try {
+    await rateLimiters.get(key).schedule(() => deliver(message, channel));
+    return true;
+  } catch (error) {
+    console.error(`Error sending chat message "${message}":`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Deliver a chat message through the chat bot or Helix
+ * @param {string} message - The message to send
+ * @param {string} channel - The channel to send to
+ */
+async function deliver(message, channel) {
+  // Required here to avoid a circular dependency, the chat bot sends its replies through us
+  const twitchBot = require('./twitchBot');
+
+  if (twitchBot.isConnected()) {
+    await twitchBot.say(channel, message);
+    return;
+  }
+
+  await sendViaHelix(message);
+}
+
+/**
+ * Send a chat message as the broadcaster through Helix
+ * Needs the user:write:chat scope
+ * @param {string} message - The message to send
+ */
+async function sendViaHelix(message) {
+  const accessToken = twitchAuth.getAccessToken();
+
+  if (!accessToken) {
+    throw new Error('No Twitch access token available');
+  }
+  if (!broadcasterId) {
+    throw new Error('Chat notifier is not initialized');
+  }
+
+  try {
+    const response = await axios.post('https://api.twitch.tv/helix/chat/messages', {
+      broadcaster_id: broadcasterId,
+      sender_id: broadcasterId,
+      message
+    }, {
+      headers: {
+        'Client-ID': TWITCH_CLIENT_ID,
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const [result] = response.data.data;
+    if (result && !result.is_sent) {
+      throw new Error(`Twitch dropped the message: ${result.drop_reason ? result.drop_reason.message : 'unknown reason'}`);
+    }
+  } catch (error) {
+    if (error.response && (error.response.status === 401 || error.response.status === 403)) {
+      throw new Error('Twitch rejected the chat message, make sure you have authenticated with the user:write:chat scope');
+    }
+    throw error;
+  }
+}
+
+// Load the message settings when the module is loaded
+loadConfig();
+
+module.exports = {
+  initialize,
+  getConfig,
+  updateConfig,
+  notifyRequestResult,
+  notifyRequestReviewed,
+  send
+};
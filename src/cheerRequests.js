@@ -0,0 +1,124 @@
+/**
+ * Cheer Requests Module
+ *
+ * Turns cheers into song requests for viewers without channel points to spare:
+ * - Cheers of at least CHEER_REQUEST_MIN_BITS become song requests
+ * - Cheers of at least CHEER_PRIORITY_MIN_BITS become priority requests (optional)
+ * - Cheermotes (e.g. "Cheer100") are stripped from the message before it's searched
+ */
+const axios = require('axios');
+const twitchAuth = require('./twitchAuth');
+
+// Configuration
+const TWITCH_CLIENT_ID = process.env.TWITCH_CLIENT_ID;
+// 0 disables cheer requests
+const MIN_BITS = parseInt(process.env.CHEER_REQUEST_MIN_BITS, 10) || 0;
+// 0 disables priority cheer requests
+const PRIORITY_MIN_BITS = parseInt(process.env.CHEER_PRIORITY_MIN_BITS, 10) || 0;
+
+// How long to cache the channel's cheermote prefixes (1 hour)
+const CHEERMOTE_CACHE_MS = 60 * 60 * 1000;
+
+// Twitch's global cheermotes, used when the channel's list can't be fetched
+const GLOBAL_CHEERMOTE_PREFIXES = [
+  'Cheer', 'DoodleCheer', 'BibleThump', 'cheerwhal', 'Corgo', 'uni', 'ShowLove', 'Party',
+  'SeemsGood', 'Pride', 'Kappa', 'FrankerZ', 'HeyGuys', 'DansGame', 'EleGiggle', 'TriHard',
+  'Kreygasm', '4Head', 'SwiftRage', 'NotLikeThis', 'FailFish', 'VoHiYo', 'PJSalt',
+  'MrDestructoid', 'bday', 'RIPCheer', 'Shamrock', 'Streamlabs', 'Muxy', 'HolidayCheer',
+  'Goal', 'Anon', 'Charity', 'BitBoss'
+];
+
+let cheermotePrefixes = null;
+let cheermotesFetchedAt = 0;
+
+/**
+ * Check whether cheer requests are enabled
+ * @returns {boolean} Whether cheers can become song requests
+ */
+function isEnabled() {
+  return MIN_BITS > 0;
+}
+
+/**
+ * Get the song request in a cheer, if it qualifies
+ * @param {Object} event - The channel.cheer event from EventSub
+ * @returns {Promise<Object|null>} The request query and whether it's a priority request, or null
+ */
+async function getCheerRequest(event) {
+  if (!isEnabled() || event.bits < MIN_BITS) {
+    return null;
+  }
+
+  const prefixes = await getCheermotePrefixes(event.broadcaster_user_id);
+  const query = stripCheermotes(event.message || '', prefixes);
+
+  // A cheer without any text left is just a cheer
+  if (!query) {
+    return null;
+  }
+
+  return {
+    query,
+    priority: PRIORITY_MIN_BITS > 0 && event.bits >= PRIORITY_MIN_BITS
+  };
+}
+
+/**
+ * Remove cheermotes from a cheer message
+ * Only words made of a known prefix and a bit amount are removed, so "Blink182" or "Maroon5" stay
+ * @param {string} message - The cheer message
+ * @param {Array<string>|null} prefixes - The channel's cheermote prefixes (defaults to the global ones)
+ * @returns {string} The message without cheermotes
+ */
+function stripCheermotes(message, prefixes) {
+  const prefixSet = new Set((prefixes || GLOBAL_CHEERMOTE_PREFIXES).map(prefix => prefix.toLowerCase()));
+
+  return message
+    .split(/\s+/)
+    .filter(word => {
+      const match = word.match(/^(.+?)(\d+)$/);
+      return !match || !prefixSet.has(match[1].toLowerCase());
+    })
+    .join(' ')
+    .trim();
+}
+
+/**
+ * Get the cheermote prefixes available in the channel, cached for an hour
+ * @param {string} broadcasterId - The broadcaster's Twitch user ID
+ * @returns {Promise<Array<string>|null>} The prefixes, or null if they couldn't be fetched
+ */
+async function getCheermotePrefixes(broadcasterId) {
+  if (cheermotePrefixes && Date.now() - cheermotesFetchedAt < CHEERMOTE_CACHE_MS) {
+    return cheermotePrefixes;
+  }
+
+  try {
+    const accessToken = twitchAuth.getAccessToken();
+
+    if (!accessToken) {
+      throw new Error('No Twitch access token available');
+    }
+
+    const response = await axios.get(`https://api.twitch.tv/helix/bits/cheermotes?broadcaster_id=${broadcasterId}`, {
+      headers: {
+        'Client-ID': TWITCH_CLIENT_ID,
+        'Authorization': `Bearer ${accessToken}`
+      }
+    });
+
+    cheermotePrefixes = response.data.data.map(cheermote => cheermote.prefix);
+    cheermotesFetchedAt = Date.now();
+    return cheermotePrefixes;
+  } catch (error) {
+    console.error('Error getting cheermotes, falling back to the global cheermotes:', error.message);
+    // Use a stale list over none at all
+    return cheermotePrefixes;
+  }
+}
+
+module.exports = {
+  isEnabled,
+  getCheerRequest,
+  stripCheermotes
+};
@@ -0,0 +1,316 @@
+/**
+ * Link Resolver Module
+ *
+ * Works out which song a pasted link points to, so viewers can request with whatever link they have:
+ * - Spotify links and URIs give the track ID directly, or the album, playlist, artist, episode or show
+ * - Short links (spotify.link, deezer.page.link, etc.) are followed to where they redirect
+ * - YouTube, Apple Music and Deezer links are turned into a title and artist from the platform's
+ *   oEmbed, API or page metadata, which are then searched for on Spotify
+ * Resolvers are tried in order, and more can be added with registerResolver()
+ */
+const axios = require('axios');
+
+// How many short links to follow in a row before giving up
+const MAX_REDIRECTS = 3;
+
+// Words YouTube uploaders add to titles that aren't part of the song name
+const YOUTUBE_TITLE_NOISE = /\s*[([](official|lyrics?|audio|video|music video|hd|hq|4k|visuali[sz]er|explicit|clean)[^)\]]*[)\]]/gi;
+
+/**
+ * Fetch a URL, following HTTP redirects
+ * @param {string} url - The URL to fetch
+ * @returns {Promise<Object>} { url, data } where url is the final URL after redirects
+ */
+async function defaultHttpGet(url) {
+  const response = await axios.get(url, {
+    timeout: 5000,
+    maxRedirects: 5,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; song-request-bot)'
+    }
+  });
+
+  return {
+    url: response.request.res ? response.request.res.responseUrl : url,
+    data: response.data
+  };
+}
+
+let httpGet = defaultHttpGet;
+
+/**
+ * Create an error whose message can be shown to the viewer as it is
+ * @param {string} message - The viewer-facing message
+ * @returns {Error} The error
+ */
+function linkError(message) {
+  const error = new Error(message);
+  error.isLinkError = true;
+  return error;
+}
+
+/**
+ * Replace how resolvers fetch URLs, e.g. to serve recorded fixtures in tests
+ * @param {Function|null} fetcher - Takes a URL and resolves to { url, data }, or null to restore the default
+ */
+function setHttpGet(fetcher) {
+  httpGet = fetcher || defaultHttpGet;
+}
+
+const resolvers = [
+  {
+    name: 'Spotify',
+    pattern: /spotify:(track|album|playlist|artist|episode|show):([a-zA-Z0-9]+)|https?:\/\/open\.spotify\.com\/(?:intl-[a-z]{2}\/)?(track|album|playlist|artist|episode|show)\/([a-zA-Z0-9]+)/,
+    async resolve(match) {
+      const type = match[1] || match[3];
+      const id = match[2] || match[4];
+
+      // Anything but a track needs the streamer's link policy to pick what to queue
+      return type === 'track' ? { trackId: id } : { spotifyType: type, spotifyId: id };
+    }
+  },
+  {
+    name: 'short link',
+    pattern: /https?:\/\/(?:spotify\.link|spotify\.app\.link|deezer\.page\.link|link\.deezer\.com)\/[^\s]+/,
+    async resolve(match) {
+      const response = await httpGet(match[0]);
+
+      // Some short links land on a page with the real link in it rather than redirecting
+      const target = response.url !== match[0] ? response.url : findLinkInPage(response.data);
+      if (!target) {
+        throw linkError('Couldn\'t follow that short link, paste the full link instead');
+      }
+
+      return { redirect: target };
+    }
+  },
+  {
+    name: 'YouTube',
+    pattern: /https?:\/\/(?:(?:www\.|m\.|music\.)?youtube\.com\/(?:watch\?[^\s]*v=|shorts\/)|youtu\.be\/)([a-zA-Z0-9_-]{11})[^\s]*/,
+    async resolve(match) {
+      const videoUrl = `https://www.youtube.com/watch?v=${match[1]}`;
+      const response = await httpGet(`https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(videoUrl)}`);
+      return parseYouTubeTitle(response.data.title, response.data.author_name);
+    }
+  },
+  {
+    name: 'Apple Music',
+    pattern: /https?:\/\/(?:music|itunes)\.apple\.com\/[^\s]*/,
+    async resolve(match) {
+      const url = new URL(match[0]);
+      const songIdMatch = url.pathname.match(/\/song\/(?:[^/]+\/)?(\d+)/);
+      const trackId = url.searchParams.get('i') || (songIdMatch && songIdMatch[1]);
+
+      if (trackId) {
+        const response = await httpGet(`https://itunes.apple.com/lookup?id=${trackId}&entity=song`);
+        const data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+        const song = data.results.find(result => result.wrapperType === 'track');
+
+        if (song) {
+          return { title: song.trackName, artist: song.artistName };
+        }
+      }
+
+      // Fall back to the page title, "Title - Song by Artist - Apple Music" (albums say "- Album by")
+      const response = await httpGet(match[0]);
+      const title = (getMetaContent(response.data, 'og:title') || '').replace(/^\u200e/, '');
+      const titleMatch = title.match(/^(.+?) - Song by (.+?) - Apple Music$/) || title.match(/^(.+?) by (.+?) on Apple Music$/);
+
+      if (!titleMatch) {
+        throw linkError('That Apple Music link isn\'t a song, link to a single song instead');
+      }
+
+      return { title: titleMatch[1], artist: titleMatch[2] };
+    }
+  },
+  {
+    name: 'Deezer',
+    pattern: /https?:\/\/(?:www\.)?deezer\.com\/(?:[a-z]{2}\/)?track\/(\d+)/,
+    async resolve(match) {
+      const response = await httpGet(`https://api.deezer.com/track/${match[1]}`);
+
+      if (!response.data || response.data.error) {
+        throw linkError('Couldn\'t find that Deezer song');
+      }
+
+      return {
+        title: response.data.title_short || response.data.title,
+        artist: response.data.artist.name,
+        isrc: response.data.isrc
+      };
+    }
+  }
+];
+
+/**
+ * Add a resolver, tried before the built-in ones
+ * @param {Object} resolver - The resolver
+ * @param {string} resolver.name - The platform name, used in logs and error messages
+ * @param {RegExp} resolver.pattern - Matches the links this resolver handles
+ * @param {Function} resolver.resolve - Takes the pattern match and resolves to { trackId }, { spotifyType, spotifyId },
+ * { title, artist, isrc } or { redirect }
+ */
+function registerResolver(resolver) {
+  resolvers.unshift(resolver);
+}
+
+/**
+ * Check whether a message contains a link
+ * @param {string} query - The message
+ * @returns {boolean} Whether there's a link in it
+ */
+function containsLink(query) {
+  return /https?:\/\/|spotify:/i.test(query);
+}
+
+/**
+ * Resolve a link in a song request
+ * @param {string} query - The song request
+ * @returns {Promise<Object|null>} null if there's no link, otherwise { source, trackId } for Spotify tracks,
+ * { source, spotifyType, spotifyId } for other Spotify links,
+ * or { source, title, artist, isrc } for songs that need to be found on Spotify
+ * @throws {Error} With a viewer-facing message if the link can't be resolved
+ */
+async function resolve(query) {
+  if (!containsLink(query)) {
+    return null;
+  }
+
+  let text = query;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const found = findResolver(text);
+
+    if (!found) {
+      throw new Error('That link isn\'t supported, use a Spotify, YouTube, Apple Music or Deezer link or the song name');
+    }
+
+    const { resolver, match } = found;
+    let result;
+    try {
+      result = await resolver.resolve(match);
+    } catch (error) {
+      console.error(`Error resolving ${resolver.name} link ${match[0]}:`, error.message);
+      throw new Error(error.isLinkError ? error.message : `Couldn't read that ${resolver.name} link, try the song name instead`);
+    }
+
+    if (result.redirect) {
+      console.log(`Followed ${match[0]} to ${result.redirect}`);
+      text = result.redirect;
+      continue;
+    }
+
+    console.log(`Resolved ${resolver.name} link ${match[0]}:`, describeResult(result));
+    return { source: resolver.name, ...result };
+  }
+
+  throw new Error('That link redirects too many times, paste the full link instead');
+}
+
+/**
+ * Describe a resolved link for the logs
+ * @param {Object} result - The resolver's result
+ * @returns {string} The description
+ */
+function describeResult(result) {
+  if (result.trackId) {
+    return `track ${result.trackId}`;
+  }
+  if (result.spotifyType) {
+    return `${result.spotifyType} ${result.spotifyId}`;
+  }
+  return `"${result.title}" by ${result.artist}`;
+}
+
+/**
+ * Find the first resolver that handles a link in the text
+ * @param {string} text - The text to search
+ * @returns {Object|null} The resolver and its pattern match
+ */
+function findResolver(text) {
+  for (const resolver of resolvers) {
+    const match = text.match(resolver.pattern);
+    if (match) {
+      return { resolver, match };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a link another resolver can handle in an HTML page
+ * @param {string} html - The page
+ * @returns {string|null} The link
+ */
+function findLinkInPage(html) {
+  if (typeof html !== 'string') {
+    return null;
+  }
+
+  const links = html.match(/https?:\/\/[^\s"'<>]+/g) || [];
+  return links.find(link => findResolver(link) && findResolver(link).resolver.name !== 'short link') || null;
+}
+
+/**
+ * Get a <meta property="..."> tag's content from an HTML page
+ * @param {string} html - The page
+ * @param {string} property - The meta property, e.g. og:title
+ * @returns {string|null} The content
+ */
+function getMetaContent(html, property) {
+  if (typeof html !== 'string') {
+    return null;
+  }
+
+  const match = html.match(new RegExp(`<meta[^>]+property="${property}"[^>]+content="([^"]*)"`, 'i')) ||
+    html.match(new RegExp(`<meta[^>]+content="([^"]*)"[^>]+property="${property}"`, 'i'));
+
+  return match ? decodeEntities(match[1]) : null;
+}
+
+/**
+ * Decode the HTML entities that show up in page titles
+ * @param {string} value - The encoded text
+ * @returns {string} The decoded text
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;|&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Get the title and artist from a YouTube video title and channel name
+ * Music videos are usually titled "Artist - Title (Official Video)", and auto-generated
+ * music channels are named "Artist - Topic"
+ * @param {string} videoTitle - The video title
+ * @param {string} channelName - The channel name
+ * @returns {Object} { title, artist }
+ */
+function parseYouTubeTitle(videoTitle, channelName) {
+  const title = videoTitle.replace(YOUTUBE_TITLE_NOISE, '').trim();
+  const dashMatch = title.match(/^(.+?)\s+[-–—]\s+(.+)$/);
+
+  if (dashMatch) {
+    return { title: dashMatch[2], artist: dashMatch[1] };
+  }
+
+  const artist = channelName
+    .replace(/\s+-\s+Topic$/, '')
+    .replace(/VEVO$/i, '')
+    .replace(/\s*Official$/i, '')
+    .trim();
+
+  return { title, artist };
+}
+
+module.exports = {
+  resolve,
+  containsLink,
+  registerResolver,
+  setHttpGet
+};
@@ -0,0 +1,44 @@
+/**
+ * Bounded cache of EventSub message IDs
+ *
+ * Twitch may deliver the same message more than once (e.g. retried webhooks),
+ * so we remember recently handled message IDs and skip repeats.
+ * Once the cache is full, the oldest IDs are forgotten first.
+ */
+
+/**
+ * Create a message ID cache
+ * @param {number} maxSize - The maximum number of message IDs to remember
+ * @returns {Object} The cache with has() and add() functions
+ */
+function createMessageIdCache(maxSize = 1000) {
+  const messageIds = new Set();
+
+  return {
+    /**
+     * Check if a message ID has been seen
+     * @param {string} messageId - The message ID
+     * @returns {boolean} Whether the message ID is in the cache
+     */
+    has(messageId) {
+      return messageIds.has(messageId);
+    },
+
+    /**
+     * Remember a message ID
+     * @param {string} messageId - The message ID
+     */
+    add(messageId) {
+      messageIds.add(messageId);
+
+      if (messageIds.size > maxSize) {
+        // Sets iterate in insertion order, so the first value is the oldest
+        messageIds.delete(messageIds.values().next().value);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createMessageIdCache
+};
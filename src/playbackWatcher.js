@@ -0,0 +1,225 @@
+/**
+ * Playback Watcher Module
+ *
+ * Polls Spotify in the background so the queue keeps moving without the queue page open:
+ * - Polls more often as the current song nears its end, and less often when nothing is playing
+ * - Keeps queueStore in step with what's playing, using Spotify's recently played list to catch
+ *   songs that played between polls, and skips vetoed songs
+ * - Emits events other modules can subscribe to with on():
+ *   - playbackUpdate (playback): every poll with something playing
+ *   - trackStarted (track, request): a different song started playing, request is null if it wasn't requested
+ *   - trackSkipped (track): the previous song stopped before it finished
+ *   - requestPlayed (request): a request started playing, or played between polls
+ *   - requestSkipped (request): a request was skipped before it played
+ *   - playbackPaused (track) and playbackResumed (track)
+ *   - deviceLost: playback stopped because no Spotify device is active any more
+ */
+const EventEmitter = require('events');
+const queueStore = require('./queueStore');
+
+// Poll intervals
+const MIN_POLL_INTERVAL_MS = 2 * 1000;
+const MAX_POLL_INTERVAL_MS = 15 * 1000;
+const IDLE_POLL_INTERVAL_MS = 10 * 1000;
+
+// Start polling quickly this long before the current song ends (20 seconds)
+const NEAR_END_MS = 20 * 1000;
+
+// A song that changes with more than this left is counted as skipped (10 seconds)
+const SKIP_THRESHOLD_MS = 10 * 1000;
+
+const events = new EventEmitter();
+
+let spotifyClient = null;
+let pollTimeout = null;
+let running = false;
+
+// What was playing at the last poll
+let lastTrack = null;
+let lastIsPlaying = false;
+let lastRemainingMs = null;
+let lastProgressMs = null;
+let lastPolledAt = null;
+let hadDevice = false;
+
+/**
+ * Start watching playback
+ * @param {Object} spotify - The Spotify client
+ */
+function start(spotify) {
+  spotifyClient = spotify;
+
+  if (running) {
+    return;
+  }
+
+  running = true;
+  console.log('Playback watcher started');
+  scheduleNextPoll(0);
+}
+
+/**
+ * Stop watching playback
+ */
+function stop() {
+  running = false;
+  if (pollTimeout) {
+    clearTimeout(pollTimeout);
+    pollTimeout = null;
+  }
+}
+
+/**
+ * Subscribe to a playback event
+ * @param {string} event - The event name
+ * @param {Function} listener - Called with the event's arguments
+ */
+function on(event, listener) {
+  events.on(event, listener);
+}
+
+/**
+ * Unsubscribe from a playback event
+ * @param {string} event - The event name
+ * @param {Function} listener - The listener passed to on()
+ */
+function off(event, listener) {
+  events.off(event, listener);
+}
+
+/**
+ * Schedule the next poll
+ * @param {number} delayMs - How long to wait
+ */
+function scheduleNextPoll(delayMs) {
+  if (!running) {
+    return;
+  }
+
+  pollTimeout = setTimeout(async () => {
+    let nextDelayMs = IDLE_POLL_INTERVAL_MS;
+    try {
+      nextDelayMs = await poll();
+    } catch (error) {
+      console.error('Error watching playback:', error.message);
+      nextDelayMs = MAX_POLL_INTERVAL_MS;
+    }
+    scheduleNextPoll(nextDelayMs);
+  }, delayMs);
+}
+
+/**
+ * Check playback once and emit events for anything that changed
+ * @returns {Promise<number>} How long to wait before the next poll
+ */
+async function poll() {
+  if (!spotifyClient || !spotifyClient.isInitialized()) {
+    return IDLE_POLL_INTERVAL_MS;
+  }
+
+  const playback = await spotifyClient.getCurrentlyPlaying();
+  const now = Date.now();
+
+  if (!playback || !playback.item) {
+    // Spotify reports no playback at all once the device goes away
+    if (hadDevice && !playback) {
+      console.log('Spotify playback stopped, no active device');
+      emit('deviceLost');
+    }
+    hadDevice = !!playback;
+    if (lastIsPlaying && lastTrack) {
+      emit('playbackPaused', lastTrack);
+    }
+    lastIsPlaying = false;
+    return IDLE_POLL_INTERVAL_MS;
+  }
+
+  hadDevice = true;
+  const track = playback.item;
+  const remainingMs = Math.max(track.duration_ms - playback.progress_ms, 0);
+
+  // The same song starting over right after it ended is a new play, e.g. when it was requested twice
+  const restarted = lastTrack && lastTrack.id === track.id && lastRemainingMs <= NEAR_END_MS &&
+    playback.progress_ms < lastProgressMs && playback.progress_ms < NEAR_END_MS;
+
+  if (!lastTrack || lastTrack.id !== track.id || restarted) {
+    // Take off the time that passed since the last poll, the song kept playing until it changed
+    const elapsedMs = lastPolledAt ? now - lastPolledAt : 0;
+    if (lastTrack && lastIsPlaying && lastRemainingMs - elapsedMs > SKIP_THRESHOLD_MS) {
+      emit('trackSkipped', lastTrack);
+    }
+
+    const queueResult = queueStore.checkAndRemoveCurrentlyPlaying(playback, await getRecentlyPlayed());
+    queueResult.played.forEach(request => emit('requestPlayed', request));
+    queueResult.skipped.forEach(request => emit('requestSkipped', request));
+
+    const request = queueResult.matched ? queueStore.getCurrentlyPlaying() : null;
+    emit('trackStarted', track, request);
+
+    if (queueResult.vetoed) {
+      // Vetoed songs can't be removed from Spotify's queue, so skip them once they start playing
+      console.log('Vetoed song started playing, skipping it');
+      await spotifyClient.skipToNext();
+    } else if (request) {
+      emit('requestPlayed', request);
+    }
+  } else if (lastIsPlaying !== playback.is_playing) {
+    emit(playback.is_playing ? 'playbackResumed' : 'playbackPaused', track);
+  }
+
+  lastTrack = track;
+  lastIsPlaying = playback.is_playing;
+  lastRemainingMs = remainingMs;
+  lastProgressMs = playback.progress_ms;
+  lastPolledAt = now;
+
+  emit('playbackUpdate', playback);
+
+  if (!playback.is_playing) {
+    return IDLE_POLL_INTERVAL_MS;
+  }
+  if (remainingMs <= NEAR_END_MS) {
+    return MIN_POLL_INTERVAL_MS;
+  }
+  // Wake up in time for the end of the song
+  return Math.min(Math.max(remainingMs - NEAR_END_MS, MIN_POLL_INTERVAL_MS), MAX_POLL_INTERVAL_MS);
+}
+
+/**
+ * Get Spotify's recently played list, used to work out what played between polls
+ * @returns {Promise<Array<Object>>} The recently played items, or none if they can't be fetched
+ */
+async function getRecentlyPlayed() {
+  try {
+    return await spotifyClient.getRecentlyPlayed();
+  } catch (error) {
+    // Logins from before the recently played scope was added can't read it
+    console.error('Error getting recently played tracks:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Emit an event, keeping a failing listener from stopping the watcher
+ * @param {string} event - The event name
+ * @param {...*} args - The event's arguments
+ */
+function emit(event, ...args) {
+  for (const listener of events.listeners(event)) {
+    try {
+      const result = listener(...args);
+      if (result && typeof result.catch === 'function') {
+        result.catch(error => console.error(`Error in ${event} listener:`, error));
+      }
+    } catch (error) {
+      console.error(`Error in ${event} listener:`, error);
+    }
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  on,
+  off
+};
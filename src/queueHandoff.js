@@ -0,0 +1,78 @@
+/**
+ * Queue Handoff Module
+ *
+ * When the app holds the queue (QUEUE_MODE=app), requests stay in queueStore until the
+ * current song is nearly over, then the next one is sent to Spotify's queue:
+ * - Follows playback through the playback watcher
+ * - Hands the next request to Spotify QUEUE_HANDOFF_SECONDS before the current song ends
+ */
+const queueStore = require('./queueStore');
+const playbackWatcher = require('./playbackWatcher');
+
+// Configuration
+const HANDOFF_LEAD_MS = (parseInt(process.env.QUEUE_HANDOFF_SECONDS, 10) || 15) * 1000;
+
+let spotifyClient = null;
+let started = false;
+let handingOff = false;
+
+/**
+ * Start handing requests to Spotify
+ * @param {Object} spotify - The Spotify client
+ */
+function start(spotify) {
+  spotifyClient = spotify;
+
+  if (started) {
+    return;
+  }
+
+  started = true;
+  playbackWatcher.on('playbackUpdate', handlePlaybackUpdate);
+  console.log(`App-held queue started, requests are sent to Spotify ${HANDOFF_LEAD_MS / 1000} seconds before the current song ends`);
+}
+
+/**
+ * Stop handing requests to Spotify
+ */
+function stop() {
+  if (started) {
+    playbackWatcher.off('playbackUpdate', handlePlaybackUpdate);
+    started = false;
+  }
+}
+
+/**
+ * Hand off the next request if the current song is nearly over
+ * @param {Object} playback - The playback state from Spotify
+ */
+async function handlePlaybackUpdate(playback) {
+  const remainingMs = playback.item.duration_ms - playback.progress_ms;
+
+  // Don't let a slow request overlap with the next update
+  if (handingOff || !playback.is_playing || remainingMs > HANDOFF_LEAD_MS) {
+    return;
+  }
+
+  const request = queueStore.getNextHandoff();
+  if (!request) {
+    return;
+  }
+
+  handingOff = true;
+  try {
+    await spotifyClient.sendToSpotifyQueue(request.uri || `spotify:track:${request.trackId}`);
+    queueStore.markHandedOff(request);
+    console.log(`Sent ${request.trackName} by ${request.artistName} to Spotify (requested by ${request.requestedBy})`);
+  } catch (error) {
+    // Try again on the next update
+    console.error('Error handing the next request to Spotify:', error.message);
+  } finally {
+    handingOff = false;
+  }
+}
+
+module.exports = {
+  start,
+  stop
+};
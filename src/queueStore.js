@@ -3,28 +3,128 @@
  * 
  * Manages the local queue of song requests with the following features:
  * - Stores song requests in order with user information
- * - Allows checking if the current song matches the first in queue
- * - Automatically clears the queue at 8 AM Eastern Time daily
+ * - Keeps the queue in step with what Spotify plays, wherever the playing song is in the queue
+ * - Allows vetoing queued songs so they're skipped when they start playing
+ * - Optionally holds the queue itself (QUEUE_MODE=app), handing each request to Spotify just before
+ *   it plays, so requests can be removed and reordered until then
+ * - Optionally orders requests round-robin by requester (QUEUE_ORDER=fair) with the app-held queue
+ * - Keeps a history of played songs for repeat checks, and of skipped requests
+ * - Saves everything to queue-data.json so requests survive restarts and redeploys
+ * - Clears the queue daily at a configurable local time, or at the start of each stream, archiving
+ *   each session's queue, history and stats
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Where the queue is saved between restarts
+const QUEUE_DATA_PATH = process.env.QUEUE_DATA_PATH || path.join(__dirname, '..', 'queue-data.json');
+
+// Version of the saved format, files without one were written by the old queue manager
+const QUEUE_DATA_VERSION = 2;
+
+// Whether the app holds the queue and hands requests to Spotify one at a time
+const APP_HELD_QUEUE = process.env.QUEUE_MODE === 'app';
+
+// Reset the queue daily at RESET_TIME in RESET_TIMEZONE, or per stream with 'stream'
+const RESET_MODE = process.env.QUEUE_RESET_MODE === 'stream' ? 'stream' : 'daily';
+const [RESET_HOUR, RESET_MINUTE] = parseResetTime(process.env.QUEUE_RESET_TIME);
+const RESET_TIMEZONE = getValidTimeZone(process.env.QUEUE_RESET_TIMEZONE);
+
+// A stream back online within this long of going offline continues the same session (15 minutes)
+const SESSION_RESUME_MS = 15 * 60 * 1000;
+
+// Where ended sessions are archived
+const SESSION_ARCHIVE_DIR = process.env.QUEUE_ARCHIVE_DIR || path.join(__dirname, '..', 'queue-sessions');
+
+// Interleave requesters round-robin instead of first come, first served. The order can only change
+// before requests reach Spotify, so this needs the app-held queue
+const FAIR_QUEUE = process.env.QUEUE_ORDER === 'fair' && APP_HELD_QUEUE;
+if (process.env.QUEUE_ORDER === 'fair' && !APP_HELD_QUEUE) {
+  console.warn('QUEUE_ORDER=fair needs QUEUE_MODE=app, requests are queued first come, first served');
+}
+
+// Length used for requests whose duration isn't known when estimating wait times (3.5 minutes)
+const DEFAULT_DURATION_MS = 210 * 1000;
+
+// How long a request handed to Spotify can wait to start playing before it's sent again (10 minutes)
+const HANDOFF_TIMEOUT_MS = 10 * 60 * 1000;
+
 // In-memory queue store
 let songRequestQueue = [];
 
 // Track the currently playing song
 let currentlyPlayingSong = null;
 
-// Schedule for clearing the queue (8 AM Eastern Time)
+// Songs played since the stream started, oldest first
+let playHistory = [];
+
+// Requests skipped since the stream started, oldest first
+let skipHistory = [];
+
+// The newest recently played item already matched against the queue
+let reconciledThrough = Date.now();
+
+// When the current stream started, reset by the daily clear or when the stream goes live
+let streamStartedAt = Date.now();
+
+// When the stream went offline, with stream sessions
+let streamEndedAt = null;
+
+// Keep the history from growing forever on long streams
+const MAX_PLAY_HISTORY = 500;
+
+// Schedule for the daily queue reset
 let clearQueueTimeout = null;
 
+/**
+ * Parse the daily reset time
+ * @param {string} value - The time as HH:MM in 24-hour format (defaults to 08:00)
+ * @returns {Array<number>} The hour and minute
+ */
+function parseResetTime(value) {
+  const match = String(value || '08:00').trim().match(/^(\d{1,2}):(\d{2})$/);
+  
+  if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+    console.error(`Invalid QUEUE_RESET_TIME "${value}", use HH:MM. Resetting at 08:00 instead`);
+    return [8, 0];
+  }
+  
+  return [parseInt(match[1], 10), parseInt(match[2], 10)];
+}
+
+/**
+ * Check the reset time zone is one Node knows
+ * @param {string} value - The IANA time zone name, e.g. Europe/Berlin (defaults to America/New_York)
+ * @returns {string} The time zone
+ */
+function getValidTimeZone(value) {
+  const timeZone = value || 'America/New_York';
+  
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (error) {
+    console.error(`Unknown QUEUE_RESET_TIMEZONE "${value}", using America/New_York instead`);
+    return 'America/New_York';
+  }
+}
+
 /**
  * Add a song to the queue
  * @param {Object} songRequest - The song request object
  * @param {string} songRequest.trackId - Spotify track ID
+ * @param {string} songRequest.uri - Spotify URI, which is an episode URI for podcast episodes (optional)
  * @param {string} songRequest.trackName - Track name
  * @param {string} songRequest.artistName - Artist name
- * @param {string} songRequest.albumName - Album name (optional)
- * @param {string} songRequest.albumImage - Album image URL (optional)
+ * @param {Array<string>} songRequest.artistIds - Spotify artist IDs (optional)
+ * @param {string} songRequest.albumName - Album name, or the show name for podcast episodes (optional)
+ * @param {string} songRequest.albumImage - Album art URL, about 300px wide (optional)
+ * @param {boolean} songRequest.explicit - Whether the track is explicit (optional)
+ * @param {number} songRequest.durationMs - Track length in milliseconds (optional)
  * @param {string} songRequest.requestedBy - Username of the requester
+ * @param {boolean} songRequest.priority - Whether this was a "play next" request (optional)
  * @returns {Object} The updated queue
  */
 function addToQueue(songRequest) {
@@ -33,18 +133,106 @@ function addToQueue(songRequest) {
     throw new Error('Invalid song request: missing required fields');
   }
 
-  // Add timestamp to the request
+  // Add an ID and timestamp to the request
+  songRequest.id = crypto.randomBytes(6).toString('hex');
   songRequest.requestedAt = new Date().toISOString();
   
-  // Add to queue
-  songRequestQueue.push(songRequest);
+  songRequestQueue.splice(getInsertIndex(songRequest), 0, songRequest);
   
   // Ensure the daily clear is scheduled
   scheduleDailyClear();
+  saveQueueData();
   
   return { queue: songRequestQueue };
 }
 
+/**
+ * Find where a new request goes in the queue
+ * @param {Object} songRequest - The song request
+ * @param {string} songRequest.requestedBy - Username of the requester
+ * @param {boolean} songRequest.priority - Whether this is a "play next" request (optional)
+ * @returns {number} The index to insert the request at
+ */
+function getInsertIndex(songRequest) {
+  if (APP_HELD_QUEUE && songRequest.priority) {
+    // Priority requests go after the song already sent to Spotify and any earlier priority requests
+    let index = 0;
+    songRequestQueue.forEach((request, i) => {
+      if (request.handedOff || request.priority) {
+        index = i + 1;
+      }
+    });
+    return index;
+  }
+  if (FAIR_QUEUE) {
+    return getFairInsertIndex(songRequest.requestedBy);
+  }
+  return songRequestQueue.length;
+}
+
+/**
+ * Find the requests a new request would play between, once it's added or replaces another
+ * @param {Object} songRequest - The song request
+ * @param {string} songRequest.requestedBy - Username of the requester
+ * @param {boolean} songRequest.priority - Whether this is a "play next" request (optional)
+ * @param {string} replaces - ID of the request it replaces (optional)
+ * @returns {Object} { previous, next }, either of which is null at that end of the queue
+ */
+function getNeighbours(songRequest, replaces) {
+  const replacedIndex = replaces ? findRequestById(replaces) : -1;
+  const replaced = songRequestQueue[replacedIndex];
+  
+  // Mirrors replaceRequest: a request the app still holds is swapped in place, otherwise the new one is added
+  let index;
+  if (replaced && APP_HELD_QUEUE && !replaced.handedOff) {
+    index = replacedIndex;
+  } else {
+    index = getInsertIndex(replaced ? { ...songRequest, priority: replaced.priority } : songRequest);
+  }
+  
+  const isLive = request => !request.vetoed && request !== replaced;
+  const before = songRequestQueue.slice(0, index).filter(isLive);
+  return {
+    previous: before.length > 0 ? before[before.length - 1] : null,
+    next: songRequestQueue.slice(index).find(isLive) || null
+  };
+}
+
+/**
+ * Find where a request goes in round-robin order
+ * A requester's first pending request is in round 1, their second in round 2 and so on. The new
+ * request goes at the end of its round, so everyone gets a song before anyone gets a second one
+ * @param {string} requestedBy - Username of the requester
+ * @returns {number} The index to insert the request at
+ */
+function getFairInsertIndex(requestedBy) {
+  const username = String(requestedBy).toLowerCase();
+  // Requests sent to Spotify and priority requests stay ahead of the rounds
+  const isScheduled = request => !request.vetoed && !request.handedOff && !request.priority;
+  
+  const round = songRequestQueue.filter(request =>
+    isScheduled(request) && String(request.requestedBy).toLowerCase() === username
+  ).length + 1;
+  
+  const requestCounts = new Map();
+  for (let i = 0; i < songRequestQueue.length; i++) {
+    const request = songRequestQueue[i];
+    if (!isScheduled(request)) {
+      continue;
+    }
+    
+    const requester = String(request.requestedBy).toLowerCase();
+    const requestRound = (requestCounts.get(requester) || 0) + 1;
+    requestCounts.set(requester, requestRound);
+    
+    if (requestRound > round) {
+      return i;
+    }
+  }
+  
+  return songRequestQueue.length;
+}
+
 /**
  * Get the current queue
  * @returns {Array} The current queue
@@ -54,51 +242,425 @@ function getQueue() {
 }
 
 /**
- * Check if the currently playing song matches the first item in the queue
- * If it does, remove it from the queue and set it as the currently playing song
- * If it doesn't match any song in the queue, clear all songs in the queue as they've been skipped
+ * Estimate when each pending request will play, from what's left of the current song and the
+ * length of every request ahead of it
+ * Songs the streamer queued in Spotify themselves aren't known, so these are estimates
+ * @param {Object} playback - The playback state from Spotify (optional, nothing playing if not given)
+ * @returns {Array<Object>} Copies of the pending requests with position, etaMs (from now) and playsAt
+ */
+function getQueueWithEta(playback) {
+  const now = Date.now();
+  let etaMs = 0;
+  
+  if (playback && playback.item && playback.is_playing) {
+    etaMs = Math.max(playback.item.duration_ms - playback.progress_ms, 0);
+  }
+  
+  return songRequestQueue
+    .filter(request => !request.vetoed)
+    .map((request, index) => {
+      const entry = {
+        ...request,
+        position: index + 1,
+        etaMs,
+        playsAt: new Date(now + etaMs).toISOString()
+      };
+      etaMs += request.durationMs || DEFAULT_DURATION_MS;
+      return entry;
+    });
+}
+
+/**
+ * Check whether the app holds the queue instead of Spotify
+ * @returns {boolean} Whether QUEUE_MODE is app
+ */
+function isAppHeld() {
+  return APP_HELD_QUEUE;
+}
+
+/**
+ * Bring the queue in step with what Spotify is playing
+ * The currently playing song is matched against any request Spotify could have reached, not just the
+ * first. Requests ahead of the match were jumped over: those in Spotify's recently played list were
+ * played while nobody was watching, the rest were skipped. If the song isn't a request, requests
+ * found in the recently played list are cleared out the same way
  * @param {Object} currentlyPlaying - The currently playing track from Spotify API
- * @returns {Object} Result with whether a match was found and any skipped songs
+ * @param {Array<Object>} recentlyPlayed - Spotify's recently played items ({ track, played_at }), newest first (optional)
+ * @returns {Object} Result with whether a match was found, any skipped songs and any songs played in between
  */
-function checkAndRemoveCurrentlyPlaying(currentlyPlaying) {
+function checkAndRemoveCurrentlyPlaying(currentlyPlaying, recentlyPlayed = []) {
   // If nothing is playing, nothing to do
   if (!currentlyPlaying || !currentlyPlaying.item) {
-    return { matched: false, skipped: [] };
+    return { matched: false, skipped: [], played: [] };
   }
   
-  // If queue is not empty, check if any item matches
-  if (songRequestQueue.length > 0) {
-    // Get the first item in the queue
-    const firstInQueue = songRequestQueue[0];
+  const trackId = currentlyPlaying.item.id;
+  
+  // Only requests already in Spotify's queue can have played
+  const reachable = APP_HELD_QUEUE ?
+    songRequestQueue.filter(request => request.handedOff).length :
+    songRequestQueue.length;
+  
+  // The same track can be requested twice, the earlier request plays first
+  let matchIndex = -1;
+  for (let i = 0; i < reachable; i++) {
+    if (songRequestQueue[i].trackId === trackId) {
+      matchIndex = i;
+      break;
+    }
+  }
+  
+  // Work out which requests Spotify played since the last check
+  const plays = getUnreconciledPlays(recentlyPlayed);
+  const playedAt = new Map();
+  let nextPlay = 0;
+  const searchEnd = matchIndex === -1 ? reachable : matchIndex;
+  for (let i = 0; i < searchEnd && nextPlay < plays.length; i++) {
+    const request = songRequestQueue[i];
+    const requestedAt = Date.parse(request.requestedAt);
     
-    // Check if the currently playing track matches the first in queue
-    if (firstInQueue.trackId === currentlyPlaying.item.id) {
-      // Remove the first item from the queue and set it as currently playing
-      currentlyPlayingSong = songRequestQueue.shift();
-      return { matched: true, skipped: [] };
-    } else {
-      // The currently playing song doesn't match the first in queue
-      // Check if it matches the second song in our queue (index 1)
-      // We only handle the case where the second song is played, to avoid clearing too many songs
-      if (songRequestQueue.length > 1 && songRequestQueue[1].trackId === currentlyPlaying.item.id) {
-        // Found a match with the second song - only the first song was skipped
-        const skippedSong = songRequestQueue.shift(); // Remove the first song
-        // Set the matched song (now the first in queue) as currently playing and remove it
-        currentlyPlayingSong = songRequestQueue.shift();
-        console.log(`Second song in queue is now playing. Removed skipped song: ${skippedSong.trackName}.`);
-        return { matched: true, skipped: [skippedSong] };
+    // Spotify plays its queue in order, so only look after the last play that was matched
+    const playIndex = plays.findIndex((play, index) =>
+      index >= nextPlay && play.track.id === request.trackId && play.playedAt >= requestedAt
+    );
+    if (playIndex !== -1) {
+      playedAt.set(request, plays[playIndex]);
+      nextPlay = playIndex + 1;
+    }
+  }
+  
+  if (plays.length > 0) {
+    reconciledThrough = plays[plays.length - 1].playedAt;
+  }
+  
+  // Everything up to the match, or up to the last request Spotify played, has been dealt with
+  let removeCount = matchIndex;
+  if (matchIndex === -1) {
+    removeCount = 0;
+    songRequestQueue.slice(0, reachable).forEach((request, i) => {
+      if (playedAt.has(request)) {
+        removeCount = i + 1;
       }
-      // If the currently playing song is not in our queue, we don't do anything with the queue
+    });
+  }
+  
+  const jumped = songRequestQueue.splice(0, removeCount);
+  const skipped = [];
+  const played = [];
+  const now = new Date().toISOString();
+  
+  jumped.forEach(request => {
+    // Vetoed songs were meant to be skipped, so they're just dropped
+    if (request.vetoed) {
+      return;
+    }
+    
+    const play = playedAt.get(request);
+    if (play) {
+      recordPlay(play.track, play.playedAt, request);
+      played.push(request);
+    } else {
+      request.skippedAt = now;
+      recordSkip(request);
+      skipped.push(request);
     }
+  });
+  
+  if (skipped.length > 0) {
+    console.log(`Skipped requests: ${skipped.map(request => request.trackName).join(', ')}`);
+  }
+  if (played.length > 0) {
+    console.log(`Requests played while the queue wasn't checked: ${played.map(request => request.trackName).join(', ')}`);
+  }
+  
+  // The matched request is now first in the queue
+  recordPlay(currentlyPlaying.item, null, matchIndex !== -1 ? songRequestQueue[0] : null);
+  
+  if (matchIndex !== -1) {
+    currentlyPlayingSong = songRequestQueue.shift();
+    saveQueueData();
+    return { matched: true, skipped, played, vetoed: !!currentlyPlayingSong.vetoed };
   }
   
   // If we don't have a match in the queue but the song changed,
   // reset the currently playing song
-  if (currentlyPlayingSong && currentlyPlayingSong.trackId !== currentlyPlaying.item.id) {
+  if (currentlyPlayingSong && currentlyPlayingSong.trackId !== trackId) {
     currentlyPlayingSong = null;
   }
   
-  return { matched: false, skipped: [] };
+  saveQueueData();
+  return { matched: false, skipped, played };
+}
+
+/**
+ * Get the recently played items that haven't been reconciled with the queue yet
+ * @param {Array<Object>} recentlyPlayed - Spotify's recently played items ({ track, played_at }), newest first
+ * @returns {Array<Object>} The items with a playedAt timestamp, oldest first
+ */
+function getUnreconciledPlays(recentlyPlayed) {
+  return (recentlyPlayed || [])
+    .filter(item => item && item.track)
+    .map(item => ({ track: item.track, playedAt: Date.parse(item.played_at) }))
+    .filter(play => play.playedAt > reconciledThrough)
+    .sort((a, b) => a.playedAt - b.playedAt);
+}
+
+/**
+ * Add a track to the play history
+ * Without a time the track is the one starting now, and isn't added again if it's already the latest
+ * unless it's a new request for the same song
+ * @param {Object} track - The track from the Spotify API
+ * @param {number} playedAt - When it played, for plays found in Spotify's recently played list (optional)
+ * @param {Object} request - The request that played, if it was requested (optional)
+ */
+function recordPlay(track, playedAt, request) {
+  const lastPlayed = playHistory[playHistory.length - 1];
+  if (!playedAt && !request && lastPlayed && lastPlayed.trackId === track.id) {
+    return;
+  }
+  
+  playHistory.push({
+    trackId: track.id,
+    trackName: track.name,
+    artistIds: (track.artists || []).map(artist => artist.id),
+    artistName: (track.artists || []).map(artist => artist.name).join(', '),
+    playedAt: playedAt || Date.now(),
+    requestedBy: request ? request.requestedBy : null
+  });
+  
+  if (playHistory.length > MAX_PLAY_HISTORY) {
+    playHistory.shift();
+  }
+}
+
+/**
+ * Add a request to the skip history
+ * @param {Object} request - The skipped request
+ */
+function recordSkip(request) {
+  skipHistory.push(request);
+  
+  if (skipHistory.length > MAX_PLAY_HISTORY) {
+    skipHistory.shift();
+  }
+}
+
+/**
+ * Get the songs played since a time, oldest first
+ * @param {number} since - Timestamp in milliseconds (defaults to the start of the stream)
+ * @returns {Array} The played songs with trackId, trackName, artistIds, artistName, playedAt and requestedBy
+ */
+function getPlayHistory(since = streamStartedAt) {
+  return playHistory.filter(entry => entry.playedAt >= since);
+}
+
+/**
+ * Get the requests skipped since a time, oldest first
+ * @param {number} since - Timestamp in milliseconds (defaults to the start of the stream)
+ * @returns {Array} The skipped requests, with skippedAt set to when the skip was noticed
+ */
+function getSkippedRequests(since = streamStartedAt) {
+  return skipHistory.filter(request => Date.parse(request.skippedAt) >= since);
+}
+
+/**
+ * Find a pending request by queue position or by track/artist name
+ * @param {string} query - A 1-based queue position (e.g. "2") or part of the track or artist name
+ * @returns {number} The index of the request in the queue, or -1 if not found
+ */
+function findRequest(query) {
+  const trimmed = String(query || '').trim();
+  const pending = songRequestQueue
+    .map((request, index) => ({ request, index }))
+    .filter(({ request }) => !request.vetoed);
+  
+  if (/^\d+$/.test(trimmed)) {
+    const position = parseInt(trimmed, 10);
+    return position >= 1 && position <= pending.length ? pending[position - 1].index : -1;
+  }
+  
+  const lowerQuery = trimmed.toLowerCase();
+  if (!lowerQuery) {
+    return -1;
+  }
+  
+  const match = pending.find(({ request }) =>
+    request.trackName.toLowerCase().includes(lowerQuery) ||
+    request.artistName.toLowerCase().includes(lowerQuery)
+  );
+  return match ? match.index : -1;
+}
+
+/**
+ * Find a request by its ID
+ * @param {string} id - The request ID
+ * @returns {number} The index of the request in the queue, or -1 if not found
+ */
+function findRequestById(id) {
+  return songRequestQueue.findIndex(request => request.id === id);
+}
+
+/**
+ * Find a requester's most recent pending request
+ * Goes by request time rather than queue position, since priority and fair ordering can put a
+ * newer request ahead of an older one
+ * @param {string} requestedBy - Username of the requester
+ * @returns {number} The index of the request in the queue, or -1 if they have none
+ */
+function findLatestRequest(requestedBy) {
+  const username = String(requestedBy).toLowerCase();
+  let latestIndex = -1;
+
+  songRequestQueue.forEach((request, index) => {
+    if (request.vetoed || String(request.requestedBy).toLowerCase() !== username) {
+      return;
+    }
+    if (latestIndex === -1 || request.requestedAt >= songRequestQueue[latestIndex].requestedAt) {
+      latestIndex = index;
+    }
+  });
+
+  return latestIndex;
+}
+
+/**
+ * Replace a pending request with a new one
+ * When the app still holds the old request the new one takes its place in the queue. Otherwise
+ * the old song is already in Spotify's queue, so it's vetoed and the new one goes at the end,
+ * where Spotify put it
+ * @param {string} id - The ID of the request being replaced
+ * @param {Object} songRequest - The new song request, with the same fields as addToQueue
+ * @param {string} replacedBy - Username of the person replacing the request
+ * @returns {Object} The updated queue
+ */
+function replaceRequest(id, songRequest, replacedBy) {
+  const index = findRequestById(id);
+  const replaced = songRequestQueue[index];
+
+  if (!replaced || replaced.vetoed) {
+    throw new Error('The request being replaced is no longer in the queue');
+  }
+  if (!songRequest.trackId || !songRequest.trackName || !songRequest.artistName || !songRequest.requestedBy) {
+    throw new Error('Invalid song request: missing required fields');
+  }
+
+  songRequest.priority = replaced.priority;
+  songRequest.replaces = replaced.id;
+
+  if (!APP_HELD_QUEUE || replaced.handedOff) {
+    vetoRequest(index, replacedBy);
+    return addToQueue(songRequest);
+  }
+
+  songRequest.id = crypto.randomBytes(6).toString('hex');
+  songRequest.requestedAt = new Date().toISOString();
+  songRequestQueue.splice(index, 1, songRequest);
+  saveQueueData();
+  console.log(`Replaced ${replaced.trackName} by ${replaced.artistName} with ${songRequest.trackName} by ${songRequest.artistName} (replaced by ${replacedBy})`);
+
+  return { queue: songRequestQueue };
+}
+
+/**
+ * Veto a pending song request
+ * Requests still held by the app are removed outright. Spotify's queue can't be edited, so songs
+ * already sent to it stay there and are skipped when they start playing
+ * @param {number} index - The index of the request in the queue
+ * @param {string} vetoedBy - Username of the person who vetoed the song
+ * @returns {Object|null} The vetoed request or null if the index is invalid
+ */
+function vetoRequest(index, vetoedBy) {
+  const request = songRequestQueue[index];
+  
+  if (!request || request.vetoed) {
+    return null;
+  }
+  
+  if (APP_HELD_QUEUE && !request.handedOff) {
+    songRequestQueue.splice(index, 1);
+    saveQueueData();
+    console.log(`Removed ${request.trackName} by ${request.artistName} (removed by ${vetoedBy})`);
+    return request;
+  }
+  
+  request.vetoed = true;
+  request.vetoedBy = vetoedBy;
+  request.vetoedAt = new Date().toISOString();
+  saveQueueData();
+  console.log(`Vetoed ${request.trackName} by ${request.artistName} (vetoed by ${vetoedBy})`);
+  return request;
+}
+
+/**
+ * Move a request to a new position in the queue
+ * Only possible when the app holds the queue, and not once the request has been sent to Spotify
+ * @param {number} index - The index of the request in the queue
+ * @param {number} position - The new 1-based position among pending requests
+ * @returns {Object|null} The moved request or null if the index is invalid
+ */
+function moveRequest(index, position) {
+  if (!APP_HELD_QUEUE) {
+    throw new Error('Requests can only be reordered when the app holds the queue (QUEUE_MODE=app)');
+  }
+  
+  const request = songRequestQueue[index];
+  if (!request || request.vetoed) {
+    return null;
+  }
+  if (request.handedOff) {
+    throw new Error(`"${request.trackName}" has already been sent to Spotify and can't be moved`);
+  }
+  
+  songRequestQueue.splice(index, 1);
+  
+  // Requests already sent to Spotify stay ahead of everything else
+  const pending = songRequestQueue.filter(pendingRequest => !pendingRequest.vetoed);
+  const firstMovable = pending.filter(pendingRequest => pendingRequest.handedOff).length;
+  const target = Math.min(Math.max(position - 1, firstMovable), pending.length);
+  const insertIndex = target < pending.length ? songRequestQueue.indexOf(pending[target]) : songRequestQueue.length;
+  
+  songRequestQueue.splice(insertIndex, 0, request);
+  saveQueueData();
+  console.log(`Moved ${request.trackName} by ${request.artistName} to position ${target + 1}`);
+  return request;
+}
+
+/**
+ * Get the next request to hand to Spotify
+ * Only one request is handed off at a time, so nothing is returned while one is waiting to play
+ * @returns {Object|null} The request or null if there's nothing to hand off
+ */
+function getNextHandoff() {
+  const waiting = songRequestQueue.find(request => request.handedOff);
+  
+  if (waiting) {
+    if (Date.now() - waiting.handedOffAt < HANDOFF_TIMEOUT_MS) {
+      return null;
+    }
+    
+    // Spotify never played it (e.g. its queue was cleared), so send it again
+    console.warn(`${waiting.trackName} was sent to Spotify but never played, sending it again`);
+    waiting.handedOff = false;
+    if (waiting.vetoed) {
+      songRequestQueue.splice(songRequestQueue.indexOf(waiting), 1);
+      saveQueueData();
+      return getNextHandoff();
+    }
+    saveQueueData();
+    return waiting;
+  }
+  
+  return songRequestQueue.find(request => !request.vetoed) || null;
+}
+
+/**
+ * Mark a request as sent to Spotify's queue
+ * @param {Object} request - The request
+ */
+function markHandedOff(request) {
+  request.handedOff = true;
+  request.handedOffAt = Date.now();
+  saveQueueData();
 }
 
 /**
@@ -107,6 +669,7 @@ function checkAndRemoveCurrentlyPlaying(currentlyPlaying) {
  */
 function clearQueue() {
   songRequestQueue = [];
+  saveQueueData();
   return { queue: songRequestQueue };
 }
 
@@ -119,7 +682,164 @@ function getCurrentlyPlaying() {
 }
 
 /**
- * Schedule the daily queue clear at 8 AM Eastern Time
+ * Get how far ahead of UTC a time zone is at a moment
+ * @param {number} timestamp - The moment in milliseconds
+ * @param {string} timeZone - The IANA time zone
+ * @returns {number} The offset in milliseconds (negative west of UTC)
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(timestamp)).forEach(part => {
+    parts[part.type] = parseInt(part.value, 10);
+  });
+  
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return localAsUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Get the reset time on a day, counted from today in the reset time zone
+ * @param {number} dayOffset - 0 for today, 1 for tomorrow, -1 for yesterday
+ * @returns {Date} The reset time
+ */
+function getResetTimeOn(dayOffset) {
+  const now = Date.now();
+  const today = new Date(now + getTimeZoneOffset(now, RESET_TIMEZONE));
+  const localReset = Date.UTC(
+    today.getUTCFullYear(),
+    today.getUTCMonth(),
+    today.getUTCDate() + dayOffset,
+    RESET_HOUR,
+    RESET_MINUTE
+  );
+  
+  // The offset can differ on the reset day (daylight saving), so check it at the reset itself
+  let resetTime = localReset - getTimeZoneOffset(localReset, RESET_TIMEZONE);
+  resetTime = localReset - getTimeZoneOffset(resetTime, RESET_TIMEZONE);
+  return new Date(resetTime);
+}
+
+/**
+ * Get the next daily queue reset
+ * @returns {Date} The time of the next reset
+ */
+function getNextClearTime() {
+  const today = getResetTimeOn(0);
+  return today.getTime() > Date.now() ? today : getResetTimeOn(1);
+}
+
+/**
+ * Get the most recent daily queue reset
+ * @returns {Date} The time of the last reset
+ */
+function getLastClearTime() {
+  const today = getResetTimeOn(0);
+  return today.getTime() <= Date.now() ? today : getResetTimeOn(-1);
+}
+
+/**
+ * Archive the current session and clear the queue and history for a new one
+ */
+function startNewStream() {
+  archiveSession();
+  songRequestQueue = [];
+  currentlyPlayingSong = null;
+  // A new stream starts fresh, so songs from the last one can be requested again
+  playHistory = [];
+  skipHistory = [];
+  streamStartedAt = Date.now();
+  streamEndedAt = null;
+  saveQueueData();
+}
+
+/**
+ * Check whether stream.online and stream.offline events mark the sessions instead of a daily reset
+ * @returns {boolean} Whether QUEUE_RESET_MODE is stream
+ */
+function usesStreamSessions() {
+  return RESET_MODE === 'stream';
+}
+
+/**
+ * Handle the stream going live
+ * Starts a new session unless the stream is coming back from a short drop
+ */
+function startSession() {
+  if (streamEndedAt && Date.now() - streamEndedAt < SESSION_RESUME_MS) {
+    console.log('Stream is back online, continuing the current session');
+    streamEndedAt = null;
+    saveQueueData();
+    return;
+  }
+  
+  console.log('Stream is online, starting a new session');
+  startNewStream();
+}
+
+/**
+ * Handle the stream going offline
+ * The queue is kept until the next stream starts, in case the stream only dropped for a moment
+ */
+function endSession() {
+  console.log('Stream is offline, the session ends when the next stream starts');
+  streamEndedAt = Date.now();
+  saveQueueData();
+}
+
+/**
+ * Save the session that's ending to the archive with a summary of what happened
+ */
+function archiveSession() {
+  if (playHistory.length === 0 && skipHistory.length === 0 && songRequestQueue.length === 0) {
+    return;
+  }
+  
+  const requestsPlayed = playHistory.filter(entry => entry.requestedBy);
+  const requesterCounts = {};
+  requestsPlayed.forEach(entry => {
+    requesterCounts[entry.requestedBy] = (requesterCounts[entry.requestedBy] || 0) + 1;
+  });
+  
+  const session = {
+    startedAt: new Date(streamStartedAt).toISOString(),
+    endedAt: new Date(streamEndedAt || Date.now()).toISOString(),
+    stats: {
+      songsPlayed: playHistory.length,
+      requestsPlayed: requestsPlayed.length,
+      requestsSkipped: skipHistory.length,
+      requestsLeftInQueue: songRequestQueue.filter(request => !request.vetoed).length,
+      topRequesters: Object.entries(requesterCounts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([username, count]) => ({ username, count }))
+    },
+    queue: songRequestQueue,
+    playHistory,
+    skipHistory
+  };
+  
+  const fileName = `session-${session.startedAt.replace(/[:.]/g, '-')}.json`;
+  try {
+    fs.mkdirSync(SESSION_ARCHIVE_DIR, { recursive: true });
+    writeFileAtomic(path.join(SESSION_ARCHIVE_DIR, fileName), session);
+    console.log(`Archived the session to ${fileName} (${session.stats.songsPlayed} songs played)`);
+  } catch (error) {
+    console.error('Error archiving the session:', error.message);
+  }
+}
+
+/**
+ * Schedule the daily queue reset
+ * Does nothing when stream sessions replace the daily reset
  */
 function scheduleDailyClear() {
   // Clear any existing timeout
@@ -127,42 +847,163 @@ function scheduleDailyClear() {
     clearTimeout(clearQueueTimeout);
   }
   
-  // Calculate time until next 8 AM Eastern Time
-  const now = new Date();
-  const targetTime = new Date(now);
-  
-  // Set to 8 AM ET (which is UTC-4 or UTC-5 depending on DST)
-  // We'll use UTC-4 (EDT) for simplicity
-  targetTime.setUTCHours(12); // 8 AM ET is 12 UTC during EDT
-  targetTime.setUTCMinutes(0);
-  targetTime.setUTCSeconds(0);
-  targetTime.setUTCMilliseconds(0);
-  
-  // If it's already past 8 AM ET today, schedule for tomorrow
-  if (now > targetTime) {
-    targetTime.setUTCDate(targetTime.getUTCDate() + 1);
+  if (usesStreamSessions()) {
+    return;
   }
   
+  const targetTime = getNextClearTime();
+  
   // Calculate milliseconds until target time
-  const timeUntilClear = targetTime - now;
+  const timeUntilClear = targetTime - new Date();
   
   // Schedule the clear
   clearQueueTimeout = setTimeout(() => {
-    clearQueue();
+    startNewStream();
     // Reschedule for the next day
     scheduleDailyClear();
   }, timeUntilClear);
   
-  console.log(`Queue clear scheduled for ${targetTime.toLocaleString()} (in ${Math.floor(timeUntilClear / 60000)} minutes)`);
+  console.log(`Queue clear scheduled for ${targetTime.toLocaleString('en-US', { timeZone: RESET_TIMEZONE })} ${RESET_TIMEZONE} (in ${Math.floor(timeUntilClear / 60000)} minutes)`);
+}
+
+/**
+ * Write a JSON file by replacing it in one step, so a crash mid-write can't leave it half written
+ * @param {string} filePath - The file to write
+ * @param {Object} data - The data to write
+ */
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Save the queue, current song and history
+ */
+function saveQueueData() {
+  const data = {
+    version: QUEUE_DATA_VERSION,
+    queue: songRequestQueue,
+    currentlyPlaying: currentlyPlayingSong,
+    playHistory,
+    skipHistory,
+    streamStartedAt,
+    streamEndedAt,
+    reconciledThrough,
+    savedAt: new Date().toISOString()
+  };
+  
+  try {
+    writeFileAtomic(QUEUE_DATA_PATH, data);
+  } catch (error) {
+    console.error('Error saving the request queue:', error.message);
+  }
+}
+
+/**
+ * Load the saved queue, current song and history
+ * Anything saved before the last daily reset belongs to an earlier stream and is archived
+ */
+function loadQueueData() {
+  if (!fs.existsSync(QUEUE_DATA_PATH)) {
+    console.log('No saved request queue found, starting fresh');
+    return;
+  }
+  
+  let saved;
+  let data;
+  try {
+    saved = JSON.parse(fs.readFileSync(QUEUE_DATA_PATH, 'utf8'));
+    data = migrateQueueData(saved);
+  } catch (error) {
+    console.error('Error loading the saved request queue, starting fresh:', error.message);
+    return;
+  }
+  
+  songRequestQueue = data.queue;
+  currentlyPlayingSong = data.currentlyPlaying;
+  playHistory = data.playHistory;
+  skipHistory = data.skipHistory;
+  streamStartedAt = data.streamStartedAt;
+  streamEndedAt = data.streamEndedAt || null;
+  reconciledThrough = data.reconciledThrough;
+  
+  if (!usesStreamSessions() && Date.parse(data.savedAt) < getLastClearTime().getTime()) {
+    console.log('Saved request queue is from an earlier stream, starting fresh');
+    startNewStream();
+    return;
+  }
+  
+  // Write migrated files back in the current format straight away
+  if (saved.version !== QUEUE_DATA_VERSION) {
+    saveQueueData();
+  }
+  
+  console.log(`Loaded ${songRequestQueue.length} queued requests from ${QUEUE_DATA_PATH}`);
+}
+
+/**
+ * Bring saved queue data up to the current format
+ * Version 1 files were written by the old queue manager (src/queueManager.js), which kept queued
+ * tracks with an addedAt time and a current song without requester info
+ * @param {Object} data - The saved data
+ * @returns {Object} The data in the current format
+ */
+function migrateQueueData(data) {
+  if (data.version === QUEUE_DATA_VERSION) {
+    return data;
+  }
+  
+  if (data.version) {
+    throw new Error(`Unknown queue data version ${data.version}`);
+  }
+  
+  // Only entries with everything a request needs can be kept
+  const queue = (data.queue || [])
+    .filter(entry => entry.trackId && entry.trackName && entry.artistName && entry.requestedBy)
+    .map(entry => ({
+      ...entry,
+      id: entry.id || crypto.randomBytes(6).toString('hex'),
+      requestedAt: entry.requestedAt || entry.addedAt || new Date().toISOString()
+    }));
+  
+  console.log(`Migrated ${queue.length} queued requests from the old queue manager format`);
+  return {
+    version: QUEUE_DATA_VERSION,
+    queue,
+    currentlyPlaying: null,
+    playHistory: [],
+    skipHistory: [],
+    streamStartedAt: Date.now(),
+    reconciledThrough: Date.now(),
+    savedAt: data.lastUpdated || new Date().toISOString()
+  };
 }
 
-// Initialize the queue clear schedule when the module is loaded
+// Restore the saved queue and initialize the queue clear schedule when the module is loaded
+loadQueueData();
 scheduleDailyClear();
 
 module.exports = {
   addToQueue,
+  getNeighbours,
   getQueue,
+  getQueueWithEta,
   checkAndRemoveCurrentlyPlaying,
+  isAppHeld,
+  findRequest,
+  findRequestById,
+  findLatestRequest,
+  replaceRequest,
+  vetoRequest,
+  moveRequest,
+  getNextHandoff,
+  markHandedOff,
   clearQueue,
-  getCurrentlyPlaying
+  getCurrentlyPlaying,
+  getPlayHistory,
+  getSkippedRequests,
+  usesStreamSessions,
+  startSession,
+  endSession
 };
@@ -0,0 +1,74 @@
+/**
+ * Sliding window rate limiter
+ *
+ * Twitch drops chat messages (and can temporarily block the sender) when too many
+ * are sent at once, so sends are queued and run only while the window has room.
+ * If too many sends are waiting, the oldest are dropped since they're stale by then.
+ */
+
+/**
+ * Create a rate limiter
+ * @param {number} limit - The maximum number of tasks per window
+ * @param {number} windowMs - The window length in milliseconds
+ * @param {number} maxPending - The maximum number of tasks waiting for a slot
+ * @returns {Object} The limiter with schedule() and getPendingCount() functions
+ */
+function createRateLimiter(limit, windowMs, maxPending = 20) {
+  // When each task in the current window ran
+  const runTimes = [];
+  const pending = [];
+  let drainTimeout = null;
+
+  const drain = () => {
+    drainTimeout = null;
+
+    const now = Date.now();
+    while (runTimes.length > 0 && now - runTimes[0] >= windowMs) {
+      runTimes.shift();
+    }
+
+    while (pending.length > 0 && runTimes.length < limit) {
+      const { task, resolve, reject } = pending.shift();
+      runTimes.push(Date.now());
+      Promise.resolve().then(task).then(resolve, reject);
+    }
+
+    // Try again once the oldest task leaves the window
+    if (pending.length > 0) {
+      drainTimeout = setTimeout(drain, runTimes[0] + windowMs - now);
+    }
+  };
+
+  return {
+    /**
+     * Run a task as soon as the rate limit allows
+     * @param {Function} task - The task to run
+     * @returns {Promise} Resolves with the task's result, or rejects if it was dropped
+     */
+    schedule(task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject });
+
+        if (pending.length > maxPending) {
+          pending.shift().reject(new Error('Too many messages waiting to be sent'));
+        }
+
+        if (!drainTimeout) {
+          drain();
+        }
+      });
+    },
+
+    /**
+     * Get the number of tasks waiting for a slot
+     * @returns {number} The number of waiting tasks
+     */
+    getPendingCount() {
+      return pending.length;
+    }
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,421 @@
+/**
+ * Request Approval Module
+ *
+ * Moderated mode, where every request waits for a moderator before it's queued:
+ * - Requests that pass the usual checks land in a pending list instead of the queue
+ * - Moderators approve or deny them on the /approvals page
+ * - Approved requests are queued (and their redemptions fulfilled), denied ones are refunded
+ * - Requests nobody reviews expire after the configured timeout and are refunded too
+ * - Settings and pending requests are stored in request-approval.json
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const REQUEST_APPROVAL_PATH = process.env.REQUEST_APPROVAL_PATH || path.join(__dirname, '..', 'request-approval.json');
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  // How long a request can wait for a moderator before it expires
+  timeoutMinutes: 10,
+  // Tell viewers in chat when their request is denied or expires
+  notifyChat: true
+};
+
+// Longest delay setTimeout supports (about 24.8 days)
+const MAX_TIMEOUT_MS = 2147483647;
+
+// How long to wait before trying a failed refund again (1 minute)
+const REFUND_RETRY_MS = 60 * 1000;
+
+let settings = { ...DEFAULT_SETTINGS };
+
+// Requests waiting for a moderator, oldest first
+let pendingApprovals = [];
+
+// Timer for the next request to expire
+let expiryTimeout = null;
+// Requests only expire once Twitch is set up, so their redemptions can be refunded
+let started = false;
+
+// IDs of pending requests being approved, denied or expired right now
+const reviewing = new Set();
+// Pending request ID -> when to try refunding it again after a failed refund
+const refundRetries = new Map();
+
+/**
+ * Load the settings and pending requests from file
+ */
+function loadData() {
+  try {
+    if (fs.existsSync(REQUEST_APPROVAL_PATH)) {
+      const data = JSON.parse(fs.readFileSync(REQUEST_APPROVAL_PATH, 'utf8'));
+      settings = normalizeSettings({ ...DEFAULT_SETTINGS, ...data.settings });
+      pendingApprovals = Array.isArray(data.pending) ? data.pending : [];
+    }
+  } catch (error) {
+    console.error('Error loading request approval data:', error);
+  }
+}
+
+/**
+ * Save the settings and pending requests to file
+ */
+function saveData() {
+  try {
+    fs.writeFileSync(REQUEST_APPROVAL_PATH, JSON.stringify({ settings, pending: pendingApprovals }, null, 2));
+  } catch (error) {
+    console.error('Error saving request approval data:', error);
+  }
+}
+
+/**
+ * Coerce settings to the right types
+ * @param {Object} input - The settings to normalize
+ * @returns {Object} The normalized settings
+ */
+function normalizeSettings(input) {
+  return {
+    enabled: !!input.enabled,
+    timeoutMinutes: Math.max(parseInt(input.timeoutMinutes, 10) || DEFAULT_SETTINGS.timeoutMinutes, 1),
+    notifyChat: input.notifyChat !== undefined ? !!input.notifyChat : DEFAULT_SETTINGS.notifyChat
+  };
+}
+
+/**
+ * Get the approval settings for the dashboard
+ * @returns {Object} The settings
+ */
+function getSettings() {
+  return { ...settings };
+}
+
+/**
+ * Update the approval settings
+ * Turning moderated mode off doesn't release requests already waiting, moderators still review those
+ * @param {Object} newSettings - The settings to change
+ * @returns {Object} The updated settings
+ */
+function updateSettings(newSettings) {
+  settings = normalizeSettings({ ...settings, ...newSettings });
+  saveData();
+  console.log(`Request approval ${settings.enabled ? 'enabled' : 'disabled'}, requests expire after ${settings.timeoutMinutes} minutes`);
+  return getSettings();
+}
+
+/**
+ * Check if requests need a moderator's approval
+ * @returns {boolean} Whether moderated mode is on
+ */
+function isEnabled() {
+  return settings.enabled;
+}
+
+/**
+ * Get the requests waiting for a moderator
+ * @returns {Array<Object>} The pending requests, oldest first
+ */
+function getPending() {
+  return pendingApprovals;
+}
+
+/**
+ * Count a viewer's requests waiting for a moderator, for their pending limit
+ * @param {string} username - The viewer's display name
+ * @returns {number} How many of their requests are waiting
+ */
+function getPendingCount(username) {
+  const key = String(username).toLowerCase();
+  return pendingApprovals.filter(approval => String(approval.requestedBy).toLowerCase() === key).length;
+}
+
+/**
+ * Hold a request for a moderator to review
+ * @param {Object} songRequest - The song request, with the same fields as queueStore.addToQueue
+ * @param {Object} options - Where the request came from
+ * @param {Object} options.track - The full track object from the Spotify API, to check the rules again on approval
+ * @param {string} options.replaces - ID of the requester's request this one replaces (optional)
+ * @param {Object} options.redemption - The channel point redemption to fulfill or refund (optional)
+ * @param {string} options.source - How the song was requested: chat, reward, cheer or web (optional)
+ * @returns {Object} The pending request
+ */
+function submit(songRequest, options = {}) {
+  const submittedAt = Date.now();
+  const { track, redemption } = options;
+  // Redemptions of rewards that skip the request queue are already fulfilled and can't be refunded
+  const refundable = redemption && (!redemption.status || redemption.status === 'unfulfilled');
+
+  const approval = {
+    id: crypto.randomBytes(6).toString('hex'),
+    songRequest,
+    requestedBy: songRequest.requestedBy,
+    replaces: options.replaces || null,
+    source: options.source || null,
+    // Only what the track rules look at
+    track: track ? {
+      id: track.id,
+      name: track.name,
+      artists: track.artists.map(artist => ({ id: artist.id, name: artist.name })),
+      explicit: !!track.explicit,
+      duration_ms: track.duration_ms
+    } : null,
+    // Only what's needed to update the redemption later
+    redemption: refundable ? {
+      id: redemption.id,
+      broadcaster_user_id: redemption.broadcaster_user_id,
+      user_name: redemption.user_name,
+      status: redemption.status,
+      reward: { id: redemption.reward.id }
+    } : null,
+    submittedAt: new Date(submittedAt).toISOString(),
+    expiresAt: new Date(submittedAt + settings.timeoutMinutes * 60 * 1000).toISOString()
+  };
+
+  pendingApprovals.push(approval);
+  saveData();
+  scheduleExpiry();
+  console.log(`${songRequest.trackName} by ${songRequest.artistName} is waiting for approval (requested by ${songRequest.requestedBy})`);
+
+  return approval;
+}
+
+/**
+ * Approve a pending request and add it to the queue
+ * The track rules are checked again, since the queue may have changed while the request waited.
+ * If queueing fails (e.g. Spotify is unavailable) the request stays pending so it can be tried again
+ * @param {string} id - The pending request's ID
+ * @param {string} moderator - Username of the moderator approving it
+ * @returns {Promise<Object>} The result from the Spotify client, or { success: false, error }
+ */
+async function approve(id, moderator) {
+  const approval = findReviewable(id);
+  if (approval.error) {
+    return { success: false, error: approval.error };
+  }
+  if (Date.parse(approval.expiresAt) <= Date.now()) {
+    return { success: false, error: 'This request has expired and is being refunded' };
+  }
+
+  const trackRules = require('./trackRules');
+  let rulesResult = trackRules.checkTrack(approval.track);
+  if (rulesResult.allowed) {
+    rulesResult = trackRules.checkRepeats(approval.track, {
+      approvalId: approval.id,
+      requestedBy: approval.requestedBy,
+      priority: approval.songRequest.priority,
+      replaces: approval.replaces
+    });
+  }
+  if (!rulesResult.allowed) {
+    return { success: false, error: `${rulesResult.reason}, deny the request to refund it` };
+  }
+
+  // Keep it pending while it's queued so it still counts for repeats, but can't be reviewed twice
+  reviewing.add(approval.id);
+  let result;
+  try {
+    const spotifyClient = require('./spotifyClient');
+    result = await spotifyClient.queueSongRequest(approval.songRequest, { replaces: approval.replaces });
+  } finally {
+    reviewing.delete(approval.id);
+  }
+
+  if (!result.success) {
+    scheduleExpiry();
+    return result;
+  }
+  removePending(approval);
+
+  console.log(`${moderator} approved ${approval.songRequest.trackName} by ${approval.songRequest.artistName}`);
+
+  const twitchEventSub = require('./twitchEventSub');
+  if (approval.redemption) {
+    await twitchEventSub.updateRedemptionStatus(approval.redemption, 'FULFILLED');
+  }
+  if (approval.source === 'reward' || approval.source === 'cheer') {
+    await twitchEventSub.updateLeaderboards(approval.requestedBy, result);
+  }
+
+  const chatNotifier = require('./chatNotifier');
+  chatNotifier.notifyRequestResult(approval.requestedBy, result)
+    .catch(error => console.error('Error telling the requester in chat:', error));
+
+  return result;
+}
+
+/**
+ * Deny a pending request, refunding its redemption
+ * The request stays pending if the refund fails, so the viewer doesn't lose their points
+ * @param {string} id - The pending request's ID
+ * @param {string} moderator - Username of the moderator denying it
+ * @returns {Promise<Object>} { success, trackName, artistName } or { success: false, error }
+ */
+async function deny(id, moderator) {
+  const approval = findReviewable(id);
+  if (approval.error) {
+    return { success: false, error: approval.error };
+  }
+
+  reviewing.add(approval.id);
+  let closed;
+  try {
+    closed = await closeUnapproved(approval, 'denied');
+  } finally {
+    reviewing.delete(approval.id);
+  }
+
+  if (!closed) {
+    scheduleExpiry();
+    return { success: false, error: `Couldn't refund ${approval.requestedBy}'s channel points, the request is still waiting so try again` };
+  }
+  console.log(`${moderator} denied ${approval.songRequest.trackName} by ${approval.songRequest.artistName}`);
+
+  return {
+    success: true,
+    trackName: approval.songRequest.trackName,
+    artistName: approval.songRequest.artistName
+  };
+}
+
+/**
+ * Find a pending request a moderator can review
+ * @param {string} id - The pending request's ID
+ * @returns {Object} The pending request, or { error }
+ */
+function findReviewable(id) {
+  const approval = pendingApprovals.find(pending => pending.id === id);
+  if (!approval) {
+    return { error: 'Request not found, it may have expired' };
+  }
+  if (reviewing.has(id)) {
+    return { error: 'This request is already being approved or denied' };
+  }
+  return approval;
+}
+
+/**
+ * Expire requests nobody reviewed in time
+ * Requests whose refund fails stay pending and are tried again after REFUND_RETRY_MS
+ * @returns {Promise<Array<Object>>} The expired requests
+ */
+async function expirePending() {
+  const now = Date.now();
+  const due = pendingApprovals.filter(approval => !reviewing.has(approval.id) && getNextCheck(approval) <= now);
+  const expired = [];
+
+  due.forEach(approval => reviewing.add(approval.id));
+  try {
+    for (const approval of due) {
+      if (await closeUnapproved(approval, 'expired')) {
+        console.log(`${approval.songRequest.trackName} by ${approval.songRequest.artistName} expired without being reviewed`);
+        expired.push(approval);
+      } else {
+        console.log(`Couldn't refund expired request ${approval.id} from ${approval.requestedBy}, trying again in ${REFUND_RETRY_MS / 1000} seconds`);
+        refundRetries.set(approval.id, Date.now() + REFUND_RETRY_MS);
+      }
+    }
+  } finally {
+    due.forEach(approval => reviewing.delete(approval.id));
+  }
+
+  return expired;
+}
+
+/**
+ * Refund a request that wasn't approved, take it off the pending list and tell the viewer
+ * Callers mark the request as being reviewed while this runs
+ * @param {Object} approval - The pending request
+ * @param {string} outcome - Either 'denied' or 'expired'
+ * @returns {Promise<boolean>} Whether it was closed, false if the refund failed and it's still pending
+ */
+async function closeUnapproved(approval, outcome) {
+  if (approval.redemption) {
+    const twitchEventSub = require('./twitchEventSub');
+    if (!await twitchEventSub.updateRedemptionStatus(approval.redemption, 'CANCELED')) {
+      return false;
+    }
+  }
+
+  removePending(approval);
+
+  if (settings.notifyChat) {
+    const chatNotifier = require('./chatNotifier');
+    await chatNotifier.notifyRequestReviewed(approval.requestedBy, approval.songRequest, outcome);
+  }
+  return true;
+}
+
+/**
+ * Take a request off the pending list
+ * @param {Object} approval - The pending request
+ */
+function removePending(approval) {
+  pendingApprovals = pendingApprovals.filter(pending => pending.id !== approval.id);
+  refundRetries.delete(approval.id);
+  saveData();
+  scheduleExpiry();
+}
+
+/**
+ * Get when a pending request next needs expiring, or its refund trying again
+ * @param {Object} approval - The pending request
+ * @returns {number} The time in milliseconds
+ */
+function getNextCheck(approval) {
+  return Math.max(Date.parse(approval.expiresAt), refundRetries.get(approval.id) || 0);
+}
+
+/**
+ * Start expiring requests nobody reviewed
+ * Called once Twitch auth and EventSub are initialized, so requests that expired while the app
+ * was down can be refunded
+ */
+function start() {
+  started = true;
+  scheduleExpiry();
+}
+
+/**
+ * Schedule a check for when the next pending request expires
+ */
+function scheduleExpiry() {
+  if (expiryTimeout) {
+    clearTimeout(expiryTimeout);
+    expiryTimeout = null;
+  }
+
+  // Requests being reviewed are checked again once the review is done
+  const waiting = pendingApprovals.filter(approval => !reviewing.has(approval.id));
+  if (!started || waiting.length === 0) {
+    return;
+  }
+
+  const nextExpiry = Math.min(...waiting.map(getNextCheck));
+  const delayMs = Math.min(Math.max(nextExpiry - Date.now(), 0), MAX_TIMEOUT_MS);
+
+  expiryTimeout = setTimeout(async () => {
+    expiryTimeout = null;
+    try {
+      await expirePending();
+    } catch (error) {
+      console.error('Error expiring pending requests:', error);
+    }
+    scheduleExpiry();
+  }, delayMs);
+}
+
+// Load the settings and pick up requests still waiting from before a restart
+loadData();
+
+module.exports = {
+  start,
+  getSettings,
+  updateSettings,
+  isEnabled,
+  getPending,
+  getPendingCount,
+  submit,
+  approve,
+  deny
+};
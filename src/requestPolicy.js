@@ -0,0 +1,353 @@
+/**
+ * Request Policy Module
+ *
+ * Decides whether a viewer may make a song request based on their role:
+ * - Resolves the requester's tier (broadcaster, moderator, VIP, subscriber tier, follower)
+ *   from chat badges or Helix lookups
+ * - Applies the tier's rules: allowed at all, max pending requests, cooldown,
+ *   and whether Spotify links and/or song name searches are allowed
+ * - Rules are stored in request-policy.json and edited from the dashboard
+ */
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const twitchAuth = require('./twitchAuth');
+const queueStore = require('./queueStore');
+const requestApproval = require('./requestApproval');
+
+// Configuration
+const TWITCH_CLIENT_ID = process.env.TWITCH_CLIENT_ID;
+const REQUEST_POLICY_PATH = process.env.REQUEST_POLICY_PATH || path.join(__dirname, '..', 'request-policy.json');
+
+// How long to remember a viewer's roles (5 minutes)
+const ROLE_CACHE_MS = 5 * 60 * 1000;
+
+// Tiers from most to least privileged, a viewer gets the rules of the first tier they're in
+const TIERS = [
+  { name: 'broadcaster', label: 'the broadcaster' },
+  { name: 'moderator', label: 'moderators' },
+  { name: 'vip', label: 'VIPs' },
+  { name: 'subscriber3', label: 'tier 3 subscribers' },
+  { name: 'subscriber2', label: 'tier 2 subscribers' },
+  { name: 'subscriber1', label: 'tier 1 subscribers' },
+  { name: 'follower', label: 'followers' },
+  { name: 'everyone', label: 'viewers' }
+];
+
+// Rules for each tier. maxPending and cooldownSeconds of 0 mean no limit
+const DEFAULT_RULES = {
+  allowed: true,
+  maxPending: 0,
+  cooldownSeconds: 0,
+  allowLinks: true,
+  allowSearch: true
+};
+
+let broadcasterId = null;
+// Whether we've warned that roles can't be looked up yet
+let warnedUninitialized = false;
+let policy = createDefaultPolicy();
+
+// User ID -> { roles, expiresAt }
+const roleCache = new Map();
+// Lowercase username -> time of their last successful request
+const lastRequestTimes = new Map();
+// Lowercase username -> requests that passed the checks and are still being looked up on Spotify
+const inFlightRequests = new Map();
+
+/**
+ * Initialize the policy for Helix role lookups
+ * @param {string} broadcaster - The broadcaster's Twitch user ID
+ */
+function initialize(broadcaster) {
+  broadcasterId = broadcaster;
+}
+
+/**
+ * Create the default policy, which allows everything
+ * @returns {Object} The default policy
+ */
+function createDefaultPolicy() {
+  const tiers = {};
+  TIERS.forEach(tier => {
+    tiers[tier.name] = { ...DEFAULT_RULES };
+  });
+
+  return {
+    // Minimum days a viewer must have followed to count as a follower
+    minFollowDays: 0,
+    tiers
+  };
+}
+
+/**
+ * Load the policy from file
+ */
+function loadPolicy() {
+  try {
+    if (fs.existsSync(REQUEST_POLICY_PATH)) {
+      const stored = JSON.parse(fs.readFileSync(REQUEST_POLICY_PATH, 'utf8'));
+      policy = normalizePolicy(stored);
+    }
+  } catch (error) {
+    console.error('Error loading request policy:', error);
+  }
+}
+
+/**
+ * Save the policy to file
+ */
+function savePolicy() {
+  try {
+    fs.writeFileSync(REQUEST_POLICY_PATH, JSON.stringify(policy, null, 2));
+  } catch (error) {
+    console.error('Error saving request policy:', error);
+  }
+}
+
+/**
+ * Fill in missing tiers and rules and coerce values to the right types
+ * @param {Object} input - The policy to normalize
+ * @returns {Object} The normalized policy
+ */
+function normalizePolicy(input) {
+  const normalized = createDefaultPolicy();
+  normalized.minFollowDays = Math.max(parseInt(input.minFollowDays, 10) || 0, 0);
+
+  TIERS.forEach(tier => {
+    const rules = (input.tiers && input.tiers[tier.name]) || {};
+    normalized.tiers[tier.name] = {
+      allowed: rules.allowed !== undefined ? !!rules.allowed : DEFAULT_RULES.allowed,
+      maxPending: Math.max(parseInt(rules.maxPending, 10) || 0, 0),
+      cooldownSeconds: Math.max(parseInt(rules.cooldownSeconds, 10) || 0, 0),
+      allowLinks: rules.allowLinks !== undefined ? !!rules.allowLinks : DEFAULT_RULES.allowLinks,
+      allowSearch: rules.allowSearch !== undefined ? !!rules.allowSearch : DEFAULT_RULES.allowSearch
+    };
+  });
+
+  return normalized;
+}
+
+/**
+ * Get the policy and tier names for the dashboard
+ * @returns {Object} The policy and the tiers in order
+ */
+function getPolicy() {
+  return {
+    policy,
+    tiers: TIERS
+  };
+}
+
+/**
+ * Replace the policy
+ * @param {Object} newPolicy - The new policy
+ * @returns {Object} The normalized policy
+ */
+function updatePolicy(newPolicy) {
+  policy = normalizePolicy(newPolicy);
+  savePolicy();
+  console.log('Updated request policy');
+  return policy;
+}
+
+/**
+ * Check whether a viewer may make a song request
+ * Allowed requests count towards the viewer's limits until releaseRequest() is called, so several
+ * redemptions at once can't all get past the pending limit and cooldown
+ * @param {Object} requester - Who is requesting
+ * @param {string} requester.username - The viewer's display name
+ * @param {string} requester.userId - The viewer's Twitch user ID (optional, needed for role lookups)
+ * @param {Object} requester.roles - Roles already known, e.g. from chat badges (optional)
+ * @param {string} query - The song request
+ * @param {Object} options - Additional options
+ * @param {boolean} options.replacing - Whether the request replaces one of the viewer's pending
+ *   requests, so it doesn't add to their pending count or wait for the cooldown
+ * @returns {Promise<Object>} { allowed, tier } or { allowed: false, reason }
+ */
+async function checkRequest(requester, query, options = {}) {
+  const tier = await resolveTier(requester);
+  const rules = policy.tiers[tier.name];
+
+  if (!rules.allowed) {
+    return { allowed: false, tier: tier.name, reason: `Song requests aren't open to ${tier.label}` };
+  }
+
+  const isLink = /https?:\/\/|spotify:/i.test(query);
+  if (isLink && !rules.allowLinks) {
+    return { allowed: false, tier: tier.name, reason: `Links aren't allowed for ${tier.label}, request by song name instead` };
+  }
+  if (!isLink && !rules.allowSearch) {
+    return { allowed: false, tier: tier.name, reason: `Song name requests aren't allowed for ${tier.label}, use a Spotify link instead` };
+  }
+
+  const username = String(requester.username).toLowerCase();
+
+  const inFlight = inFlightRequests.get(username) || 0;
+
+  if (rules.maxPending > 0) {
+    // Requests waiting for a moderator's approval count as pending too
+    const pending = queueStore.getQueue().filter(request =>
+      !request.vetoed && String(request.requestedBy).toLowerCase() === username
+    ).length + requestApproval.getPendingCount(username) + inFlight - (options.replacing ? 1 : 0);
+
+    if (pending >= rules.maxPending) {
+      return { allowed: false, tier: tier.name, reason: `You already have ${pending} song${pending === 1 ? '' : 's'} in the queue (limit ${rules.maxPending})` };
+    }
+  }
+
+  if (rules.cooldownSeconds > 0 && inFlight > 0) {
+    return { allowed: false, tier: tier.name, reason: 'Your last request is still being added, please wait before requesting another song' };
+  }
+
+  if (rules.cooldownSeconds > 0 && !options.replacing && lastRequestTimes.has(username)) {
+    const remainingMs = lastRequestTimes.get(username) + rules.cooldownSeconds * 1000 - Date.now();
+
+    if (remainingMs > 0) {
+      return { allowed: false, tier: tier.name, reason: `Please wait ${Math.ceil(remainingMs / 1000)} seconds before requesting another song` };
+    }
+  }
+
+  inFlightRequests.set(username, inFlight + 1);
+  return { allowed: true, tier: tier.name };
+}
+
+/**
+ * Stop counting an allowed request towards the viewer's limits once it's queued or has failed
+ * @param {string} username - The viewer's display name
+ */
+function releaseRequest(username) {
+  const key = String(username).toLowerCase();
+  const inFlight = (inFlightRequests.get(key) || 0) - 1;
+
+  if (inFlight > 0) {
+    inFlightRequests.set(key, inFlight);
+  } else {
+    inFlightRequests.delete(key);
+  }
+}
+
+/**
+ * Remember when a viewer made a successful request, for cooldowns
+ * @param {string} username - The viewer's display name
+ */
+function recordRequest(username) {
+  lastRequestTimes.set(String(username).toLowerCase(), Date.now());
+}
+
+/**
+ * Work out which tier a requester is in
+ * Helix lookups are skipped if every tier has the same rules
+ * @param {Object} requester - Who is requesting
+ * @returns {Promise<Object>} The tier
+ */
+async function resolveTier(requester) {
+  const everyoneRules = JSON.stringify(policy.tiers.everyone);
+  const tiersDiffer = TIERS.some(tier => JSON.stringify(policy.tiers[tier.name]) !== everyoneRules);
+
+  if (!tiersDiffer) {
+    return TIERS.find(tier => tier.name === 'everyone');
+  }
+
+  const roles = await resolveRoles(requester);
+  const followDays = roles.followedAt ? (Date.now() - new Date(roles.followedAt).getTime()) / (24 * 60 * 60 * 1000) : -1;
+
+  let name = 'everyone';
+  if (roles.broadcaster) name = 'broadcaster';
+  else if (roles.moderator) name = 'moderator';
+  else if (roles.vip) name = 'vip';
+  else if (roles.subscriberTier >= 1) name = `subscriber${Math.min(roles.subscriberTier, 3)}`;
+  else if (followDays >= policy.minFollowDays) name = 'follower';
+
+  return TIERS.find(tier => tier.name === name);
+}
+
+/**
+ * Resolve a requester's roles, looking up anything not already known through Helix
+ * @param {Object} requester - Who is requesting
+ * @returns {Promise<Object>} { broadcaster, moderator, vip, subscriberTier, followedAt }
+ */
+async function resolveRoles(requester) {
+  const known = requester.roles || {};
+  const userId = requester.userId;
+
+  if (!userId) {
+    return { subscriberTier: 0, followedAt: null, ...known };
+  }
+
+  // Roles are looked up in the broadcaster's channel, so there's nothing to look up (or cache) until it's known
+  if (!broadcasterId) {
+    if (!warnedUninitialized) {
+      console.warn('Viewer roles can\'t be looked up until the bot has found the broadcaster on Twitch (connect Twitch at /auth/twitch). Until then viewers only get the roles chat tells us about');
+      warnedUninitialized = true;
+    }
+    return { subscriberTier: 0, followedAt: null, ...known };
+  }
+
+  const cached = roleCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { ...cached.roles, ...known };
+  }
+
+  const [moderator, vip, subscriberTier, followedAt] = await Promise.all([
+    known.moderator !== undefined ? known.moderator : lookupRole('moderation/moderators', userId, data => data.length > 0),
+    known.vip !== undefined ? known.vip : lookupRole('channels/vips', userId, data => data.length > 0),
+    known.subscriberTier !== undefined ? known.subscriberTier : lookupRole('subscriptions', userId, data => data.length > 0 ? parseInt(data[0].tier, 10) / 1000 : 0),
+    lookupRole('channels/followers', userId, data => data.length > 0 ? data[0].followed_at : null)
+  ]);
+
+  const roles = {
+    broadcaster: userId === broadcasterId,
+    moderator,
+    vip,
+    subscriberTier,
+    followedAt
+  };
+
+  roleCache.set(userId, { roles, expiresAt: Date.now() + ROLE_CACHE_MS });
+  return { ...roles, ...known };
+}
+
+/**
+ * Look up one of a viewer's roles through Helix
+ * Failures (e.g. a missing scope) count as not having the role
+ * @param {string} endpoint - The Helix endpoint
+ * @param {string} userId - The viewer's Twitch user ID
+ * @param {Function} parse - Turns the response data into the role value
+ * @returns {Promise<*>} The role value, or what parse returns for no data
+ */
+async function lookupRole(endpoint, userId, parse) {
+  try {
+    const accessToken = twitchAuth.getAccessToken();
+
+    if (!accessToken) {
+      throw new Error('No Twitch access token available');
+    }
+
+    const params = new URLSearchParams({ broadcaster_id: broadcasterId, user_id: userId });
+    const response = await axios.get(`https://api.twitch.tv/helix/${endpoint}?${params.toString()}`, {
+      headers: {
+        'Client-ID': TWITCH_CLIENT_ID,
+        'Authorization': `Bearer ${accessToken}`
+      }
+    });
+
+    return parse(response.data.data);
+  } catch (error) {
+    console.error(`Error looking up ${endpoint} for user ${userId}:`, error.response ? error.response.status : error.message);
+    return parse([]);
+  }
+}
+
+// Load the policy when the module is loaded
+loadPolicy();
+
+module.exports = {
+  initialize,
+  getPolicy,
+  updatePolicy,
+  checkRequest,
+  releaseRequest,
+  recordRequest,
+  resolveRoles
+};
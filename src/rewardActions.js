@@ -0,0 +1,161 @@
+/**
+ * Reward Actions Module
+ *
+ * Maps channel point rewards to what the bot does when they're redeemed.
+ * Each action has a handler that receives the redemption context and returns
+ * { success, error } so the redemption can be fulfilled or refunded.
+ */
+const spotifyClient = require('./spotifyClient');
+const queueStore = require('./queueStore');
+const viewerRequests = require('./viewerRequests');
+
+// Playlist used by the "request from the streamer's playlist" action
+const REQUEST_PLAYLIST = process.env.SPOTIFY_REQUEST_PLAYLIST || null;
+
+/**
+ * Standard song request
+ * @param {Object} context - The redemption context
+ * @returns {Promise<Object>} The result of the action
+ */
+async function requestSong(context) {
+  return context.requestSong(context.input);
+}
+
+/**
+ * "Play next" priority request
+ * When the app holds the queue the request is put ahead of the others. Otherwise Spotify only
+ * appends to its queue, so the request can only play next if nothing else is waiting
+ * @param {Object} context - The redemption context
+ * @returns {Promise<Object>} The result of the action
+ */
+async function priorityRequest(context) {
+  const pending = queueStore.getQueue().filter(request => !request.vetoed);
+
+  if (!queueStore.isAppHeld() && pending.length > 0) {
+    return {
+      success: false,
+      error: 'Other requests are already queued on Spotify, so this song can\'t be played next'
+    };
+  }
+
+  return context.requestSong(context.input, { priority: true });
+}
+
+/**
+ * Skip the current song
+ * @returns {Promise<Object>} The result of the action
+ */
+async function skipSong() {
+  return spotifyClient.skipToNext();
+}
+
+/**
+ * Veto a queued song, by queue position or by track/artist name
+ * @param {Object} context - The redemption context
+ * @returns {Promise<Object>} The result of the action
+ */
+async function vetoSong(context) {
+  const index = queueStore.findRequest(context.input);
+
+  if (index === -1) {
+    return { success: false, error: `No queued request matches "${context.input}"` };
+  }
+
+  const request = queueStore.vetoRequest(index, context.username);
+  return {
+    success: true,
+    trackName: request.trackName,
+    artistName: request.artistName
+  };
+}
+
+/**
+ * Request a song from the streamer's playlist
+ * @param {Object} context - The redemption context
+ * @returns {Promise<Object>} The result of the action
+ */
+async function requestFromPlaylist(context) {
+  if (!REQUEST_PLAYLIST) {
+    return { success: false, error: 'No request playlist configured (set SPOTIFY_REQUEST_PLAYLIST)' };
+  }
+
+  // Accept either a playlist ID or an open.spotify.com playlist URL
+  const playlistMatch = REQUEST_PLAYLIST.match(/playlist[/:]([a-zA-Z0-9]+)/);
+  const playlistId = playlistMatch ? playlistMatch[1] : REQUEST_PLAYLIST;
+
+  const track = await spotifyClient.findPlaylistTrack(playlistId, context.input || '');
+
+  if (!track) {
+    return { success: false, error: `No song in the playlist matches "${context.input}"` };
+  }
+
+  return context.requestSong(`spotify:track:${track.id}`);
+}
+
+/**
+ * Remove the viewer's most recent request, or replace it with the song in the message
+ * @param {Object} context - The redemption context
+ * @returns {Promise<Object>} The result of the action
+ */
+async function fixRequest(context) {
+  const query = (context.input || '').trim();
+
+  if (!query) {
+    return viewerRequests.removeRequest(context.username);
+  }
+
+  return viewerRequests.replaceRequest(context.username, query, context.requestSong);
+}
+
+// Available actions, keyed by the name stored in the reward config
+const ACTIONS = {
+  request: {
+    description: 'Standard song request',
+    handler: requestSong
+  },
+  priority: {
+    description: '"Play next" priority request',
+    handler: priorityRequest
+  },
+  skip: {
+    description: 'Skip the current song',
+    handler: skipSong
+  },
+  veto: {
+    description: 'Veto a queued song (by position or name)',
+    handler: vetoSong
+  },
+  playlist: {
+    description: 'Request a song from the streamer\'s playlist',
+    handler: requestFromPlaylist
+  },
+  fix: {
+    description: 'Remove your last request, or replace it with the song in the message',
+    handler: fixRequest
+  }
+};
+
+/**
+ * Get an action by name
+ * @param {string} name - The action name
+ * @returns {Object|null} The action or null if it doesn't exist
+ */
+function getAction(name) {
+  return ACTIONS[name] || null;
+}
+
+/**
+ * List the available actions
+ * @returns {Array} The action names and descriptions
+ */
+function listActions() {
+  return Object.keys(ACTIONS).map(name => ({
+    name,
+    description: ACTIONS[name].description
+  }));
+}
+
+module.exports = {
+  getAction,
+  listActions
+};
@@ -0,0 +1,398 @@
+/**
+ * Reward Manager Module
+ *
+ * Creates and owns the song request channel point reward through the Helix API:
+ * - Stores the reward ID so redemptions are matched by ID instead of title
+ * - Lets the streamer edit cost, prompt, cooldown and limits from the dashboard
+ * - Pauses the reward automatically while Spotify can't take requests
+ * - Maps other rewards to actions (priority request, skip, veto, ...)
+ */
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const twitchAuth = require('./twitchAuth');
+
+// Configuration
+const TWITCH_CLIENT_ID = process.env.TWITCH_CLIENT_ID;
+const REWARD_CONFIG_PATH = process.env.REWARD_CONFIG_PATH || path.join(__dirname, '..', 'reward-config.json');
+
+// How often to check whether Spotify can take requests (1 minute)
+const AUTO_PAUSE_INTERVAL_MS = 60 * 1000;
+
+// Settings used when the bot creates the reward for the first time
+const DEFAULT_SETTINGS = {
+  title: process.env.TWITCH_REDEMPTION_NAME || 'Song Request',
+  cost: 1000,
+  prompt: 'Enter a song name, Spotify link or Spotify URI',
+  isUserInputRequired: true,
+  globalCooldownSeconds: 0,
+  maxPerStream: 0
+};
+
+let broadcasterId = null;
+let rewardId = null;
+let settings = { ...DEFAULT_SETTINGS };
+let manuallyPaused = false;
+// Reward ID -> action name for rewards other than the song request reward
+let rewardActions = {};
+let autoPauseReason = null;
+let autoPauseInterval = null;
+
+/**
+ * Initialize the reward manager and make sure the bot-owned reward exists
+ * @param {string} broadcaster - The broadcaster's Twitch user ID
+ * @returns {Promise<boolean>} Whether the reward is ready
+ */
+async function initialize(broadcaster) {
+  broadcasterId = broadcaster;
+  loadConfig();
+
+  try {
+    await ensureReward();
+    return true;
+  } catch (error) {
+    logHelixError('Error setting up song request reward', error);
+    return false;
+  }
+}
+
+/**
+ * Load the stored reward config from file
+ */
+function loadConfig() {
+  try {
+    if (fs.existsSync(REWARD_CONFIG_PATH)) {
+      const config = JSON.parse(fs.readFileSync(REWARD_CONFIG_PATH, 'utf8'));
+      rewardId = config.rewardId || null;
+      settings = { ...DEFAULT_SETTINGS, ...config.settings };
+      manuallyPaused = !!config.manuallyPaused;
+      rewardActions = config.actions || {};
+    }
+  } catch (error) {
+    console.error('Error loading reward config:', error);
+  }
+}
+
+/**
+ * Save the reward config to file
+ */
+function saveConfig() {
+  try {
+    const config = {
+      rewardId,
+      settings,
+      manuallyPaused,
+      actions: rewardActions
+    };
+    fs.writeFileSync(REWARD_CONFIG_PATH, JSON.stringify(config, null, 2));
+  } catch (error) {
+    console.error('Error saving reward config:', error);
+  }
+}
+
+/**
+ * Make sure the stored reward still exists on Twitch, creating it if needed
+ */
+async function ensureReward() {
+  if (rewardId) {
+    const response = await helixRequest('get', 'channel_points/custom_rewards', {
+      id: rewardId,
+      only_manageable_rewards: true
+    });
+
+    if (response.data.data.length > 0) {
+      console.log(`Using existing song request reward with ID: ${rewardId}`);
+      // Pick up any changes the streamer made to the reward on Twitch
+      settings = { ...settings, ...fromHelixReward(response.data.data[0]) };
+      saveConfig();
+      return;
+    }
+
+    console.log(`Song request reward ${rewardId} no longer exists, creating a new one`);
+  }
+
+  const response = await helixRequest('post', 'channel_points/custom_rewards', {}, {
+    ...toHelixReward(settings),
+    is_enabled: true,
+    is_paused: isPaused(),
+    // Keep redemptions in the request queue so they can be fulfilled or refunded
+    should_redemptions_skip_request_queue: false
+  });
+
+  rewardId = response.data.data[0].id;
+  saveConfig();
+  console.log(`Created song request reward "${settings.title}" with ID: ${rewardId}`);
+}
+
+/**
+ * Update the reward settings on Twitch
+ * @param {Object} newSettings - The settings to change
+ * @returns {Promise<Object>} The updated settings
+ */
+async function updateSettings(newSettings) {
+  const merged = { ...settings };
+
+  if (newSettings.title !== undefined) merged.title = String(newSettings.title).trim();
+  if (newSettings.prompt !== undefined) merged.prompt = String(newSettings.prompt);
+  if (newSettings.cost !== undefined) merged.cost = parseInt(newSettings.cost, 10);
+  if (newSettings.isUserInputRequired !== undefined) merged.isUserInputRequired = !!newSettings.isUserInputRequired;
+  if (newSettings.globalCooldownSeconds !== undefined) merged.globalCooldownSeconds = parseInt(newSettings.globalCooldownSeconds, 10) || 0;
+  if (newSettings.maxPerStream !== undefined) merged.maxPerStream = parseInt(newSettings.maxPerStream, 10) || 0;
+
+  if (!merged.title) {
+    throw new Error('Reward title is required');
+  }
+  if (!Number.isInteger(merged.cost) || merged.cost < 1) {
+    throw new Error('Reward cost must be a positive number');
+  }
+
+  if (rewardId) {
+    await helixRequest('patch', 'channel_points/custom_rewards', { id: rewardId }, toHelixReward(merged));
+  }
+
+  settings = merged;
+  saveConfig();
+  console.log(`Updated song request reward settings: ${JSON.stringify(settings)}`);
+  return settings;
+}
+
+/**
+ * Manually pause or resume the reward from the dashboard
+ * @param {boolean} paused - Whether the reward should be paused
+ */
+async function setManuallyPaused(paused) {
+  manuallyPaused = !!paused;
+  saveConfig();
+  await syncPausedState();
+}
+
+/**
+ * Start checking whether Spotify can take requests, pausing the reward when it can't
+ * @param {Object} spotifyClient - The Spotify client
+ */
+function startAutoPause(spotifyClient) {
+  if (autoPauseInterval) {
+    clearInterval(autoPauseInterval);
+  }
+
+  const check = async () => {
+    let reason = null;
+
+    if (!spotifyClient.isInitialized()) {
+      reason = 'Spotify is not connected';
+    } else {
+      const devices = await spotifyClient.getDevices();
+      if (devices.length === 0) {
+        reason = 'No Spotify devices available';
+      }
+    }
+
+    if (reason !== autoPauseReason) {
+      autoPauseReason = reason;
+      console.log(reason ? `Pausing song request reward: ${reason}` : 'Spotify is available again, resuming song request reward');
+      await syncPausedState();
+    }
+  };
+
+  check();
+  autoPauseInterval = setInterval(check, AUTO_PAUSE_INTERVAL_MS);
+}
+
+/**
+ * Push the current paused state to Twitch
+ */
+async function syncPausedState() {
+  if (!rewardId) {
+    return;
+  }
+
+  try {
+    await helixRequest('patch', 'channel_points/custom_rewards', { id: rewardId }, { is_paused: isPaused() });
+  } catch (error) {
+    logHelixError('Error updating song request reward paused state', error);
+  }
+}
+
+/**
+ * Check whether the reward is currently paused
+ * @returns {boolean} Whether the reward is paused
+ */
+function isPaused() {
+  return manuallyPaused || !!autoPauseReason;
+}
+
+/**
+ * Get the ID of the bot-owned reward
+ * @returns {string|null} The reward ID or null if the reward hasn't been created
+ */
+function getRewardId() {
+  return rewardId;
+}
+
+/**
+ * Get the action configured for a reward
+ * The bot-owned song request reward is always a standard request
+ * @param {string} id - The reward ID
+ * @returns {string|null} The action name or null if the reward isn't configured
+ */
+function getActionForReward(id) {
+  if (rewardId && id === rewardId) {
+    return 'request';
+  }
+  return rewardActions[id] || null;
+}
+
+/**
+ * Get the configured reward actions
+ * @returns {Object} Reward ID -> action name
+ */
+function getRewardActions() {
+  return rewardActions;
+}
+
+/**
+ * Replace the configured reward actions
+ * @param {Object} actions - Reward ID -> action name
+ */
+function setRewardActions(actions) {
+  rewardActions = { ...actions };
+  // The song request reward can't be remapped
+  if (rewardId) {
+    delete rewardActions[rewardId];
+  }
+  saveConfig();
+}
+
+/**
+ * List every custom reward on the channel
+ * @returns {Promise<Array>} The rewards with their ID, title and whether the bot can manage them
+ */
+async function listChannelRewards() {
+  const [allRewards, manageableRewards] = await Promise.all([
+    helixRequest('get', 'channel_points/custom_rewards'),
+    helixRequest('get', 'channel_points/custom_rewards', { only_manageable_rewards: true })
+  ]);
+  const manageableIds = new Set(manageableRewards.data.data.map(reward => reward.id));
+
+  return allRewards.data.data.map(reward => ({
+    id: reward.id,
+    title: reward.title,
+    cost: reward.cost,
+    // Redemptions of rewards created outside the bot can't be refunded
+    manageable: manageableIds.has(reward.id)
+  }));
+}
+
+/**
+ * Get the current reward state for the dashboard
+ * @returns {Object} The reward ID, settings and paused state
+ */
+function getRewardState() {
+  return {
+    id: rewardId,
+    settings,
+    paused: isPaused(),
+    manuallyPaused,
+    pauseReason: manuallyPaused ? 'Paused from the dashboard' : autoPauseReason
+  };
+}
+
+/**
+ * Convert our settings to the Helix custom reward format
+ * @param {Object} rewardSettings - Our reward settings
+ * @returns {Object} The Helix request body
+ */
+function toHelixReward(rewardSettings) {
+  return {
+    title: rewardSettings.title,
+    cost: rewardSettings.cost,
+    prompt: rewardSettings.prompt,
+    is_user_input_required: rewardSettings.isUserInputRequired,
+    is_global_cooldown_enabled: rewardSettings.globalCooldownSeconds > 0,
+    global_cooldown_seconds: rewardSettings.globalCooldownSeconds,
+    is_max_per_stream_enabled: rewardSettings.maxPerStream > 0,
+    max_per_stream: rewardSettings.maxPerStream
+  };
+}
+
+/**
+ * Convert a Helix custom reward to our settings format
+ * @param {Object} reward - The Helix custom reward
+ * @returns {Object} Our reward settings
+ */
+function fromHelixReward(reward) {
+  return {
+    title: reward.title,
+    cost: reward.cost,
+    prompt: reward.prompt,
+    isUserInputRequired: reward.is_user_input_required,
+    globalCooldownSeconds: reward.global_cooldown_setting.is_enabled ? reward.global_cooldown_setting.global_cooldown_seconds : 0,
+    maxPerStream: reward.max_per_stream_setting.is_enabled ? reward.max_per_stream_setting.max_per_stream : 0
+  };
+}
+
+/**
+ * Make an authenticated request to the Helix API on behalf of the broadcaster
+ * @param {string} method - The HTTP method
+ * @param {string} endpoint - The Helix endpoint (without the base URL)
+ * @param {Object} params - Query parameters (broadcaster_id is added automatically)
+ * @param {Object} data - The request body
+ * @returns {Promise<Object>} The axios response
+ */
+async function helixRequest(method, endpoint, params = {}, data = undefined) {
+  const accessToken = twitchAuth.getAccessToken();
+
+  if (!accessToken) {
+    throw new Error('No Twitch access token available');
+  }
+  if (!broadcasterId) {
+    throw new Error('Reward manager is not initialized');
+  }
+
+  const query = new URLSearchParams({ broadcaster_id: broadcasterId, ...params });
+
+  return axios({
+    method,
+    url: `https://api.twitch.tv/helix/${endpoint}?${query.toString()}`,
+    data,
+    headers: {
+      'Client-ID': TWITCH_CLIENT_ID,
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+/**
+ * Log a Helix error with any response details
+ * @param {string} message - What we were trying to do
+ * @param {Error} error - The error
+ */
+function logHelixError(message, error) {
+  console.error(`${message}:`);
+  if (error.response) {
+    console.error('Response status:', error.response.status);
+    console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+
+    if (error.response.status === 400 && JSON.stringify(error.response.data).includes('DUPLICATE_REWARD')) {
+      console.error('A reward with this title already exists. Rename or delete it on Twitch so the bot can create its own.');
+    } else if (error.response.status === 401 || error.response.status === 403) {
+      console.error('Make sure you have authenticated with the channel:manage:redemptions scope.');
+    }
+  } else {
+    console.error(error.message);
+  }
+}
+
+module.exports = {
+  initialize,
+  updateSettings,
+  setManuallyPaused,
+  startAutoPause,
+  getRewardId,
+  getRewardState,
+  getActionForReward,
+  getRewardActions,
+  setRewardActions,
+  listChannelRewards
+};
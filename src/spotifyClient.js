@@ -2,6 +2,11 @@ const SpotifyWebApi = require('spotify-web-api-node');
 const fs = require('fs');
 const path = require('path');
 const blacklistManager = require('./blacklistManager');
+const requestPolicy = require('./requestPolicy');
+const requestApproval = require('./requestApproval');
+const trackRules = require('./trackRules');
+const trackMatcher = require('./trackMatcher');
+const linkResolver = require('./linkResolver');
 const open = require('open');
 
 // Token storage path - use environment variable if available for cloud deployment
@@ -18,9 +23,15 @@ const SCOPES = [
   'user-read-email',
   'user-modify-playback-state',
   'user-read-playback-state',
-  'user-read-currently-playing'
+  'user-read-currently-playing',
+  'user-read-recently-played',
+  'playlist-read-private'
 ];
 
+// The market tracks are looked up in. "from_token" uses the streamer's account country,
+// so Spotify reports whether each track can play there and relinks it to a version that can
+const MARKET = process.env.SPOTIFY_MARKET || 'from_token';
+
 // Create a new Spotify API client
 const spotifyApi = new SpotifyWebApi({
   clientId: process.env.SPOTIFY_CLIENT_ID,
@@ -45,6 +56,12 @@ async function initialize() {
       spotifyApi.setAccessToken(storedAccessToken);
       spotifyApi.setRefreshToken(storedRefreshToken);
       
+      // Tokens from environment variables don't record their scopes, but a refreshed token does
+      if (await refreshAccessToken()) {
+        initialized = true;
+        return;
+      }
+      
       // Check if the access token is still valid
       try {
         await spotifyApi.getMe();
@@ -66,6 +83,14 @@ async function initialize() {
       spotifyApi.setAccessToken(tokens.accessToken);
       spotifyApi.setRefreshToken(tokens.refreshToken);
       
+      // Tokens saved before their scopes were recorded are refreshed to find out what was granted
+      if (tokens.scope !== undefined) {
+        checkScopes(tokens.scope);
+      } else if (await refreshAccessToken()) {
+        initialized = true;
+        return;
+      }
+      
       // Check if the access token is still valid
       try {
         await spotifyApi.getMe();
@@ -113,8 +138,10 @@ async function handleCallback(code) {
     const tokens = {
       accessToken: data.body.access_token,
       refreshToken: data.body.refresh_token,
-      expiresAt: Date.now() + (data.body.expires_in * 1000)
+      expiresAt: Date.now() + (data.body.expires_in * 1000),
+      scope: data.body.scope
     };
+    checkScopes(tokens.scope);
     
     // Update our in-memory variables
     storedAccessToken = tokens.accessToken;
@@ -152,6 +179,7 @@ async function refreshAccessToken() {
     // Update in-memory tokens
     storedAccessToken = data.body.access_token;
     tokenExpiresAt = Date.now() + (data.body.expires_in * 1000);
+    checkScopes(data.body.scope);
     
     // Update the stored tokens in file if possible
     try {
@@ -159,6 +187,9 @@ async function refreshAccessToken() {
         const tokens = JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf8'));
         tokens.accessToken = data.body.access_token;
         tokens.expiresAt = tokenExpiresAt;
+        if (data.body.scope !== undefined) {
+          tokens.scope = data.body.scope;
+        }
         fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokens, null, 2));
       }
     } catch (error) {
@@ -173,6 +204,24 @@ async function refreshAccessToken() {
   }
 }
 
+/**
+ * Warn if the streamer's Spotify login is missing any of the scopes the bot asks for
+ * Logins from before a scope was added keep working without it until the streamer authorizes again
+ * @param {string} scope - The space-separated scopes Spotify granted (nothing is checked if not given)
+ */
+function checkScopes(scope) {
+  if (scope === undefined) {
+    return;
+  }
+  
+  const granted = scope.split(' ');
+  const missing = SCOPES.filter(name => !granted.includes(name));
+  
+  if (missing.length > 0) {
+    console.warn(`Spotify login is missing the ${missing.join(', ')} scope${missing.length > 1 ? 's' : ''}. Re-authorize at /auth/spotify to grant ${missing.length > 1 ? 'them' : 'it'}`);
+  }
+}
+
 /**
  * Check if the Spotify client is initialized
  * @returns {boolean} Whether the client is initialized
@@ -215,9 +264,16 @@ async function transferPlayback(deviceId) {
  * Add a song to the Spotify queue
  * @param {string} query - The song query (can be a Spotify URI, URL, or search term)
  * @param {string} requestedBy - The username of the person who requested the song
- * @returns {Object} The result of the operation
+ * @param {Object} options - Request options
+ * @param {boolean} options.priority - Whether this is a "play next" request
+ * @param {Object} options.requester - The requester's user ID and known roles, for the request policy
+ * @param {string} options.replaces - ID of the requester's pending request this one replaces (optional)
+ * @param {Object} options.redemption - The channel point redemption, kept with requests waiting for approval (optional)
+ * @param {string} options.source - How the song was requested: chat, reward, cheer or web (optional)
+ * @returns {Object} The result of the operation, with pendingApproval set if a moderator has to approve it
  */
-async function addSongToQueue(query, requestedBy = 'Unknown User') {
+async function addSongToQueue(query, requestedBy = 'Unknown User', options = {}) {
+  let policyResult = null;
   try {
     if (!initialized) {
       throw new Error('Spotify client is not initialized');
@@ -231,6 +287,17 @@ async function addSongToQueue(query, requestedBy = 'Unknown User') {
       };
     }
     
+    // Check the requester's role-based limits before anything reaches Spotify
+    policyResult = await requestPolicy.checkRequest({ ...options.requester, username: requestedBy }, query, {
+      replacing: !!options.replaces
+    });
+    if (!policyResult.allowed) {
+      return {
+        success: false,
+        error: policyResult.reason
+      };
+    }
+    
     // Check if we need to refresh the token
     const tokens = JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf8'));
     if (Date.now() > tokens.expiresAt) {
@@ -238,101 +305,197 @@ async function addSongToQueue(query, requestedBy = 'Unknown User') {
     }
     
     // Get track info based on query type
-    let trackId, trackName, artistName;
-    
-    // Extract Spotify track link from the query (which might contain additional text)
-    let spotifyLink = null;
-    
-    // Check for Spotify URI format (spotify:track:1234567890)
-    const uriMatch = query.match(/spotify:track:([a-zA-Z0-9]+)/);
-    if (uriMatch && uriMatch[1]) {
-      spotifyLink = uriMatch[0]; // The full URI
-      trackId = uriMatch[1]; // The ID portion
-      console.log(`Found Spotify URI in message: ${spotifyLink}`);
-    }
-    
-    // Check for Spotify URL format (https://open.spotify.com/track/1234567890)
-    if (!spotifyLink) {
-      const urlMatch = query.match(/https?:\/\/open\.spotify\.com\/(intl-[a-z]{2}\/)?track\/([a-zA-Z0-9]+)(\?[^\s]*)?/);
-      if (urlMatch && urlMatch[2]) {
-        spotifyLink = urlMatch[0].split('?')[0]; // The URL without query parameters
-        trackId = urlMatch[2]; // The ID portion is now in capture group 2
-        console.log(`Found Spotify URL in message: ${spotifyLink}`);
-      }
+    let track, trackId, trackName, artistName, durationMs;
+    
+    // Work out what any link in the query points to (which might contain additional text)
+    let resolvedLink;
+    try {
+      resolvedLink = await linkResolver.resolve(query);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
     }
     
-    // If we found a Spotify link, proceed with getting track info
-    if (trackId) {
-      
+    if (resolvedLink && resolvedLink.trackId) {
       // Get track info
-      const track = await spotifyApi.getTrack(trackId);
-      trackName = track.body.name;
-      artistName = track.body.artists.map(artist => artist.name).join(', ');
+      const trackResponse = await spotifyApi.getTrack(resolvedLink.trackId, { market: MARKET });
+      track = trackResponse.body;
+    } else if (resolvedLink && resolvedLink.spotifyType) {
+      // Albums, playlists etc. are handled by the streamer's policy for that kind of link
+      const collectionResult = await pickFromSpotifyLink(resolvedLink.spotifyType, resolvedLink.spotifyId);
+      if (collectionResult.error) {
+        return {
+          success: false,
+          error: collectionResult.error
+        };
+      }
+      track = collectionResult.track;
     } else {
-      // Treat as a search query
-      const searchResults = await spotifyApi.searchTracks(query, { limit: 1 });
+      // Links from other platforms are searched for by their title and artist
+      const matchQuery = resolvedLink ? `${resolvedLink.title} by ${resolvedLink.artist}` : query;
       
-      if (searchResults.body.tracks.items.length === 0) {
-        throw new Error('No tracks found matching the query');
+      // The same recording has the same ISRC on every platform, so try that first
+      if (resolvedLink && resolvedLink.isrc) {
+        const isrcResults = await spotifyApi.searchTracks(`isrc:${resolvedLink.isrc}`, { limit: 1, market: MARKET });
+        track = isrcResults.body.tracks.items[0];
       }
       
-      const track = searchResults.body.tracks.items[0];
-      trackId = track.id;
-      trackName = track.name;
-      artistName = track.artists.map(artist => artist.name).join(', ');
-    }
-    
-    // Try to add the track to the queue
-    try {
-      await spotifyApi.addToQueue(`spotify:track:${trackId}`);
-    } catch (error) {
-      // If no active device is found, try to transfer playback to the last active device
-      if (error.body && error.body.error && error.body.error.reason === 'NO_ACTIVE_DEVICE') {
-        console.log('No active device found. Attempting to transfer playback...');
-        
-        // Get available devices
-        const devices = await getDevices();
+      if (!track) {
+        // Treat as a search query
+        const searchQuery = resolvedLink ? `${resolvedLink.title} ${resolvedLink.artist}` : query;
+        const searchResults = await spotifyApi.searchTracks(searchQuery, { limit: trackMatcher.CANDIDATE_LIMIT, market: MARKET });
         
-        if (devices.length === 0) {
-          throw new Error('No Spotify devices available. Please open Spotify on a device.');
+        if (searchResults.body.tracks.items.length === 0) {
+          throw new Error(resolvedLink ? `Couldn't find "${resolvedLink.title}" by ${resolvedLink.artist} on Spotify` : 'No tracks found matching the query');
         }
         
-        // Find the first available device (preferably one that was recently active)
-        const availableDevice = devices.find(device => device.is_active) || devices[0];
-        
-        // Transfer playback to the device
-        const transferred = await transferPlayback(availableDevice.id);
-        
-        if (!transferred) {
-          throw new Error('Failed to transfer playback to available device');
+        // Pick the result that best matches what was asked for, rather than guessing
+        const match = trackMatcher.pickBestMatch(matchQuery, searchResults.body.tracks.items);
+        if (!match.confident) {
+          return {
+            success: false,
+            error: match.reason
+          };
         }
         
-        // Try adding to queue again after transfer
-        await spotifyApi.addToQueue(`spotify:track:${trackId}`);
-        console.log(`Successfully transferred playback to ${availableDevice.name} and added song to queue`);
-      } else {
-        // If it's a different error, rethrow it
-        throw error;
+        track = match.track;
       }
     }
     
-    // Add to our local queue store
+    trackId = track.id;
+    trackName = track.name;
+    artistName = track.artists.map(artist => artist.name).join(', ');
+    durationMs = track.duration_ms;
+
+    // Spotify silently skips tracks that can't play in the streamer's market, so reject them here
+    const unplayableReason = getUnplayableReason(track);
+    if (unplayableReason) {
+      return {
+        success: false,
+        error: unplayableReason
+      };
+    }
+    
+    // A relinked track plays under a different ID, which is the one the local queue needs to match
+    if (track.linked_from) {
+      console.log(`Spotify relinked ${track.linked_from.id} to ${track.id} for the streamer's market`);
+    }
+    
+    // Check the track against the streamer's content rules, then for repeats
+    let rulesResult = trackRules.checkTrack(track);
+    if (rulesResult.allowed) {
+      rulesResult = trackRules.checkRepeats(track, {
+        requestedBy,
+        priority: !!options.priority,
+        replaces: options.replaces
+      });
+    }
+    if (!rulesResult.allowed) {
+      return {
+        success: false,
+        error: rulesResult.reason
+      };
+    }
+
+    // The request being replaced may have played or been removed while the track was looked up
     const queueStore = require('./queueStore');
+    if (options.replaces && !isReplaceable(queueStore, options.replaces)) {
+      return {
+        success: false,
+        error: 'The request you wanted to replace is no longer in the queue'
+      };
+    }
+    
     const songRequest = {
       trackId,
+      uri: track.uri,
       trackName,
       artistName,
-      requestedBy
+      artistIds: track.artists.map(artist => artist.id),
+      albumName: track.album ? track.album.name : (track.show ? track.show.name : null),
+      albumImage: getAlbumImage(track),
+      explicit: !!track.explicit,
+      durationMs,
+      requestedBy,
+      priority: !!options.priority
+    };
+    
+    // In moderated mode the request waits for a moderator and nothing reaches Spotify until then
+    let result;
+    if (requestApproval.isEnabled()) {
+      const approval = requestApproval.submit(songRequest, { ...options, track });
+      result = {
+        success: true,
+        pendingApproval: true,
+        approvalId: approval.id,
+        trackId,
+        trackName,
+        artistName,
+        durationMs
+      };
+    } else {
+      result = await queueSongRequest(songRequest, options);
+    }
+    
+    // Replacing a request doesn't restart the requester's cooldown
+    if (result.success && !options.replaces) {
+      requestPolicy.recordRequest(requestedBy);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Error adding song to queue:', error);
+    return {
+      success: false,
+      error: error.message
     };
+  } finally {
+    // The request is either in the queue now or has failed
+    if (policyResult && policyResult.allowed) {
+      requestPolicy.releaseRequest(requestedBy);
+    }
+  }
+}
+
+/**
+ * Queue a song request that has passed the checks, or been approved by a moderator
+ * @param {Object} songRequest - The song request, with the same fields as queueStore.addToQueue
+ * @param {Object} options - Request options
+ * @param {string} options.replaces - ID of the requester's pending request this one replaces (optional)
+ * @returns {Promise<Object>} The result of the operation
+ */
+async function queueSongRequest(songRequest, options = {}) {
+  try {
+    const queueStore = require('./queueStore');
+    if (options.replaces && !isReplaceable(queueStore, options.replaces)) {
+      return {
+        success: false,
+        error: 'The request being replaced is no longer in the queue'
+      };
+    }
     
-    queueStore.addToQueue(songRequest);
-    console.log(`Added song to local queue: ${trackName} by ${artistName} (requested by ${requestedBy})`);
+    // When the app holds the queue, the request is handed to Spotify just before it plays
+    if (!queueStore.isAppHeld()) {
+      await sendToSpotifyQueue(songRequest.uri || `spotify:track:${songRequest.trackId}`);
+    }
+    
+    // Add to our local queue store
+    if (options.replaces) {
+      queueStore.replaceRequest(options.replaces, songRequest, songRequest.requestedBy);
+    } else {
+      queueStore.addToQueue(songRequest);
+    }
+    console.log(`Added song to local queue: ${songRequest.trackName} by ${songRequest.artistName} (requested by ${songRequest.requestedBy})`);
     
     return {
       success: true,
-      trackId,
-      trackName,
-      artistName
+      requestId: songRequest.id,
+      trackId: songRequest.trackId,
+      trackName: songRequest.trackName,
+      artistName: songRequest.artistName,
+      durationMs: songRequest.durationMs
     };
   } catch (error) {
     console.error('Error adding song to queue:', error);
@@ -343,6 +506,17 @@ async function addSongToQueue(query, requestedBy = 'Unknown User') {
   }
 }
 
+/**
+ * Check a request can still be replaced
+ * @param {Object} queueStore - The queue store
+ * @param {string} id - The request's ID
+ * @returns {boolean} Whether the request is still pending
+ */
+function isReplaceable(queueStore, id) {
+  const request = queueStore.getQueue()[queueStore.findRequestById(id)];
+  return !!request && !request.vetoed;
+}
+
 /**
  * Get the currently playing track
  * @returns {Object|null} The currently playing track or null if nothing is playing
@@ -365,7 +539,7 @@ async function getCurrentlyPlaying() {
     }
     
     // Get currently playing track
-    const response = await spotifyApi.getMyCurrentPlaybackState();
+    const response = await spotifyApi.getMyCurrentPlaybackState({ market: MARKET });
     
     if (response.statusCode === 204 || !response.body) {
       return null; // Nothing is playing
@@ -378,13 +552,256 @@ async function getCurrentlyPlaying() {
   }
 }
 
+/**
+ * Add a track to Spotify's queue, transferring playback to a device if none is active
+ * @param {string} uri - The Spotify track (or episode) URI
+ */
+async function sendToSpotifyQueue(uri) {
+  try {
+    await spotifyApi.addToQueue(uri);
+  } catch (error) {
+    // If no active device is found, try to transfer playback to the last active device
+    if (error.body && error.body.error && error.body.error.reason === 'NO_ACTIVE_DEVICE') {
+      console.log('No active device found. Attempting to transfer playback...');
+      
+      // Get available devices
+      const devices = await getDevices();
+      
+      if (devices.length === 0) {
+        throw new Error('No Spotify devices available. Please open Spotify on a device.');
+      }
+      
+      // Find the first available device (preferably one that was recently active)
+      const availableDevice = devices.find(device => device.is_active) || devices[0];
+      
+      // Transfer playback to the device
+      const transferred = await transferPlayback(availableDevice.id);
+      
+      if (!transferred) {
+        throw new Error('Failed to transfer playback to available device');
+      }
+      
+      // Try adding to queue again after transfer
+      await spotifyApi.addToQueue(uri);
+      console.log(`Successfully transferred playback to ${availableDevice.name} and added song to queue`);
+    } else {
+      // If it's a different error, rethrow it
+      throw error;
+    }
+  }
+}
+
+/**
+ * Get why a track can't be played in the streamer's market
+ * Tracks looked up without a market don't say whether they're playable, so they're assumed to be
+ * @param {Object} track - The track (or episode) from the Spotify API, looked up with a market
+ * @returns {string|null} The viewer-facing reason, or null if the track can be played
+ */
+function getUnplayableReason(track) {
+  if (track.is_playable !== false) {
+    return null;
+  }
+  
+  const reason = track.restrictions ? track.restrictions.reason : null;
+  if (reason === 'explicit') {
+    return `"${track.name}" is explicit and blocked by the streamer's Spotify settings`;
+  }
+  if (reason === 'product') {
+    return `"${track.name}" can't be played on the streamer's Spotify plan`;
+  }
+  return `"${track.name}" isn't available on Spotify in the streamer's country`;
+}
+
+/**
+ * Get the album art for a track, or the cover for an episode
+ * @param {Object} track - The track (or episode) from the Spotify API
+ * @returns {string|null} The URL of the image closest to 300px wide, or null if there isn't one
+ */
+function getAlbumImage(track) {
+  const images = (track.album ? track.album.images : track.images) || [];
+
+  // Spotify lists images largest first, usually 640, 300 and 64px wide
+  const image = images.find(candidate => candidate.width && candidate.width <= 300) || images[0];
+  return image ? image.url : null;
+}
+
+/**
+ * Pick what to queue from a Spotify album, playlist, artist, episode or show link
+ * @param {string} type - The link type
+ * @param {string} id - The Spotify ID from the link
+ * @returns {Object} { track } with a track (or track-like episode) object, or { error } with a reason
+ */
+async function pickFromSpotifyLink(type, id) {
+  const policy = trackRules.getLinkPolicy(type);
+  
+  if (policy === 'reject') {
+    const messages = {
+      album: 'Album links can\'t be requested, link a single song instead',
+      playlist: 'Playlist links can\'t be requested, link a single song instead',
+      artist: 'Artist links can\'t be requested, link a single song instead',
+      episode: 'Podcast episodes can\'t be requested',
+      show: 'Podcasts can\'t be requested'
+    };
+    return { error: messages[type] };
+  }
+  
+  let track = null;
+  
+  if (type === 'album') {
+    const albumTracks = (await spotifyApi.getAlbumTracks(id, { limit: 50, market: MARKET })).body.items;
+    
+    if (policy === 'first') {
+      track = albumTracks[0];
+    } else if (policy === 'random') {
+      track = albumTracks[Math.floor(Math.random() * albumTracks.length)];
+    } else {
+      // Album track listings don't include popularity, so look the tracks up in full
+      const fullTracks = (await spotifyApi.getTracks(albumTracks.map(albumTrack => albumTrack.id), { market: MARKET })).body.tracks;
+      track = fullTracks.reduce((best, candidate) => (!best || candidate.popularity > best.popularity ? candidate : best), null);
+    }
+    
+    // Album track listings don't include the album, which the rest of the request needs
+    if (track && !track.album) {
+      track = (await spotifyApi.getTrack(track.id, { market: MARKET })).body;
+    }
+  } else if (type === 'playlist') {
+    const fields = 'items(track(id,type)),total';
+    let offset = 0;
+    
+    if (policy === 'random') {
+      const total = (await spotifyApi.getPlaylistTracks(id, { limit: 1, fields, market: MARKET })).body.total;
+      offset = Math.floor(Math.random() * total);
+    }
+    
+    // Skip episodes and local files, which can't be looked up
+    const items = (await spotifyApi.getPlaylistTracks(id, { offset, limit: 20, fields, market: MARKET })).body.items;
+    const item = items.find(playlistItem => playlistItem.track && playlistItem.track.id && playlistItem.track.type === 'track');
+    if (item) {
+      track = (await spotifyApi.getTrack(item.track.id, { market: MARKET })).body;
+    }
+  } else if (type === 'artist') {
+    const topTracks = (await spotifyApi.getArtistTopTracks(id, MARKET)).body.tracks;
+    track = policy === 'random' ? topTracks[Math.floor(Math.random() * topTracks.length)] : topTracks[0];
+  } else if (type === 'episode' || type === 'show') {
+    let episode;
+    if (type === 'episode') {
+      episode = (await spotifyApi.getEpisode(id, { market: MARKET })).body;
+    } else {
+      // Shows list their newest episode first
+      const showEpisodes = (await spotifyApi.getShowEpisodes(id, { limit: 1, market: MARKET })).body.items;
+      const show = (await spotifyApi.getShow(id, { market: MARKET })).body;
+      episode = showEpisodes[0] && { ...showEpisodes[0], show };
+    }
+    
+    // Make the episode look like a track, with the show in place of the artist
+    track = episode && {
+      ...episode,
+      artists: [{ id: episode.show.id, name: episode.show.name }]
+    };
+  }
+  
+  if (!track) {
+    return { error: `Couldn't find anything to queue in that ${type}` };
+  }
+  
+  console.log(`Picked "${track.name}" from ${type} ${id} (${policy})`);
+  return { track };
+}
+
+/**
+ * Skip to the next track in the Spotify queue
+ * @returns {Object} The result of the operation
+ */
+async function skipToNext() {
+  try {
+    if (!initialized) {
+      throw new Error('Spotify client is not initialized');
+    }
+    
+    await spotifyApi.skipToNext();
+    console.log('Skipped to the next track');
+    return { success: true };
+  } catch (error) {
+    console.error('Error skipping track:', error);
+    
+    if (error.body && error.body.error && error.body.error.reason === 'NO_ACTIVE_DEVICE') {
+      return { success: false, error: 'Nothing is playing on Spotify right now' };
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the tracks Spotify played most recently
+ * Spotify only lists tracks played for at least 30 seconds
+ * @param {number} limit - How many tracks to get, up to 50
+ * @returns {Array<Object>} The recently played items ({ track, played_at }), newest first
+ */
+async function getRecentlyPlayed(limit = 20) {
+  if (!initialized) {
+    throw new Error('Spotify client is not initialized');
+  }
+  
+  const response = await spotifyApi.getMyRecentlyPlayedTracks({ limit });
+  return response.body.items || [];
+}
+
+/**
+ * Find the track in a playlist that best matches a search query
+ * @param {string} playlistId - The Spotify playlist ID
+ * @param {string} query - The search text (track name and/or artist)
+ * @returns {Object|null} The matching track or null if nothing matches
+ */
+async function findPlaylistTrack(playlistId, query) {
+  if (!initialized) {
+    throw new Error('Spotify client is not initialized');
+  }
+  
+  const words = query.toLowerCase().split(/\s+/).filter(word => word.length > 0);
+  if (words.length === 0) {
+    return null;
+  }
+  
+  // Page through the playlist, stopping at the first track that matches every word
+  const limit = 100;
+  for (let offset = 0; ; offset += limit) {
+    const response = await spotifyApi.getPlaylistTracks(playlistId, {
+      offset,
+      limit,
+      fields: 'items(track(id,name,artists(name))),next'
+    });
+    
+    const match = response.body.items
+      .map(item => item.track)
+      .find(track => {
+        if (!track || !track.id) {
+          return false;
+        }
+        const text = `${track.name} ${track.artists.map(artist => artist.name).join(' ')}`.toLowerCase();
+        return words.every(word => text.includes(word));
+      });
+    
+    if (match) {
+      return match;
+    }
+    if (!response.body.next) {
+      return null;
+    }
+  }
+}
+
 module.exports = {
   initialize,
   getAuthorizationUrl,
   handleCallback,
   isInitialized,
   addSongToQueue,
+  queueSongRequest,
   getDevices,
   transferPlayback,
-  getCurrentlyPlaying
+  getCurrentlyPlaying,
+  skipToNext,
+  getRecentlyPlayed,
+  sendToSpotifyQueue,
+  findPlaylistTrack
 };
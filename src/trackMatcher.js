@@ -0,0 +1,311 @@
+/**
+ * Track Matcher Module
+ *
+ * Picks the track a viewer meant from Spotify's search results instead of taking the first hit:
+ * - Parses "title by artist" and "artist - title" requests
+ * - Scores each candidate on how well its title and artists match
+ * - Penalizes karaoke, covers, sped up edits and similar versions unless they were asked for
+ * - Prefers versions that can be played in the streamer's market over equally good ones that can't
+ * - Rejects the request when no candidate is a confident match
+ * - Logs every decision to search-matches.log for later review
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+// Scores run from 0 to 1, requests whose best match scores lower are rejected
+const MIN_CONFIDENCE = parseFloat(process.env.SEARCH_MIN_CONFIDENCE) || 0.6;
+const SEARCH_MATCH_LOG_PATH = process.env.SEARCH_MATCH_LOG_PATH || path.join(__dirname, '..', 'search-matches.log');
+
+// How many search results to score
+const CANDIDATE_LIMIT = 10;
+
+// Versions viewers rarely mean unless they say so
+const JUNK_PATTERNS = [
+  /\bkaraoke\b/,
+  /\bcover\b/,
+  /\binstrumental\b/,
+  /\bsped up\b/,
+  /\bspeed up\b/,
+  /\bslowed\b/,
+  /\breverb\b/,
+  /\bnightcore\b/,
+  /\b8d\b/,
+  /\btribute\b/,
+  /\bmade famous\b/,
+  /\bin the style of\b/,
+  /\bremix\b/,
+  /\blive\b/,
+  /\blullaby\b/
+];
+
+// How much a junk version loses
+const JUNK_PENALTY = 0.3;
+
+/**
+ * Pick the best matching track for a free-text request
+ * @param {string} query - The viewer's request
+ * @param {Array<Object>} tracks - Track objects from Spotify's search results
+ * @returns {Object} { confident, track, score, reason } where reason explains a rejection
+ */
+function pickBestMatch(query, tracks) {
+  const parsed = parseQuery(query);
+
+  // Confident matches the streamer can play come first, so an unavailable version (e.g. another
+  // market's release) doesn't win over a playable one. If none can be played, the best match is
+  // still picked so the viewer is told why it can't be queued
+  const isPlayableMatch = candidate => candidate.score >= MIN_CONFIDENCE && candidate.track.is_playable !== false;
+  const candidates = tracks
+    .map(track => ({ track, score: scoreCandidate(parsed, query, track) }))
+    .sort((a, b) => (isPlayableMatch(b) - isPlayableMatch(a)) || (b.score - a.score));
+
+  const best = candidates[0];
+  const confident = !!best && best.score >= MIN_CONFIDENCE;
+
+  logDecision(query, parsed, candidates, confident);
+
+  if (!best) {
+    return { confident: false, track: null, score: 0, reason: 'No tracks found matching the query' };
+  }
+
+  if (!confident) {
+    const closest = `"${best.track.name}" by ${best.track.artists.map(artist => artist.name).join(', ')}`;
+    return {
+      confident: false,
+      track: best.track,
+      score: best.score,
+      reason: `Not sure which song you meant (closest was ${closest}), try "song by artist" or a Spotify link`
+    };
+  }
+
+  return { confident: true, track: best.track, score: best.score };
+}
+
+/**
+ * Split a request into title and artist
+ * @param {string} query - The viewer's request
+ * @returns {Object} { title, artist } where artist is null if the request didn't name one
+ */
+function parseQuery(query) {
+  const trimmed = query.trim();
+
+  const byMatch = trimmed.match(/^(.+?)\s+by\s+(.+)$/i);
+  if (byMatch) {
+    return { title: byMatch[1], artist: byMatch[2] };
+  }
+
+  const dashMatch = trimmed.match(/^(.+?)\s+[-–—]\s+(.+)$/);
+  if (dashMatch) {
+    return { title: dashMatch[2], artist: dashMatch[1] };
+  }
+
+  return { title: trimmed, artist: null };
+}
+
+/**
+ * Score how well a track matches a request
+ * @param {Object} parsed - The parsed request
+ * @param {string} query - The viewer's request, also scored as a bare title and used to tell if a junk version was asked for
+ * @param {Object} track - The track from Spotify
+ * @returns {number} The score from 0 to 1
+ */
+function scoreCandidate(parsed, query, track) {
+  const titleTokens = tokenize(cleanTitle(track.name));
+  // Version details still count when the request mentions them, e.g. "acoustic"
+  const fullTitleTokens = tokenize(track.name);
+  const artistTokens = tokenize(track.artists.map(artist => artist.name).join(' '));
+
+  // Without a named artist the request might still include one, so match against both
+  // Always scored, since titles like "Stand by Me" look like "title by artist" too
+  const queryTokens = tokenize(query);
+  let score = coverage(queryTokens, fullTitleTokens.concat(artistTokens)) * 0.5 + coverage(titleTokens, queryTokens) * 0.5;
+
+  if (parsed.artist) {
+    const queryTitleTokens = tokenize(parsed.title);
+    const titleScore = (coverage(queryTitleTokens, fullTitleTokens) + coverage(titleTokens, queryTitleTokens)) / 2;
+    const artistScore = coverage(tokenize(parsed.artist), artistTokens);
+    score = Math.max(score, titleScore * 0.6 + artistScore * 0.4);
+
+    // "artist - title" and "title - artist" look the same, so try the other way round too
+    if (parsed.title !== parsed.artist) {
+      const swappedTitleTokens = tokenize(parsed.artist);
+      const swappedTitleScore = (coverage(swappedTitleTokens, fullTitleTokens) + coverage(titleTokens, swappedTitleTokens)) / 2;
+      const swappedArtistScore = coverage(tokenize(parsed.title), artistTokens);
+      score = Math.max(score, swappedTitleScore * 0.6 + swappedArtistScore * 0.4);
+    }
+  }
+
+  if (isJunkVersion(track, query)) {
+    score -= JUNK_PENALTY;
+  }
+
+  // Break ties in favour of the better known version
+  score += (track.popularity || 0) / 100 * 0.05;
+
+  return Math.min(Math.max(score, 0), 1);
+}
+
+/**
+ * Check whether a track is a karaoke, cover or similar version the viewer didn't ask for
+ * @param {Object} track - The track from Spotify
+ * @param {string} query - The viewer's request
+ * @returns {boolean} Whether the track is an unwanted version
+ */
+function isJunkVersion(track, query) {
+  const normalizedQuery = normalize(query);
+  const description = normalize([
+    track.name,
+    track.album ? track.album.name : '',
+    track.artists.map(artist => artist.name).join(' ')
+  ].join(' '));
+
+  return JUNK_PATTERNS.some(pattern => pattern.test(description) && !pattern.test(normalizedQuery));
+}
+
+/**
+ * Remove version details like "(feat. X)" and "- Remastered 2011" from a title
+ * @param {string} title - The track title
+ * @returns {string} The bare title
+ */
+function cleanTitle(title) {
+  return title
+    .replace(/\s*[([][^)\]]*[)\]]/g, '')
+    .replace(/\s+-\s+.*$/, '');
+}
+
+/**
+ * Lowercase a string and strip accents and punctuation
+ * @param {string} value - The string
+ * @returns {string} The normalized string
+ */
+function normalize(value) {
+  return value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a string into normalized words
+ * @param {string} value - The string
+ * @returns {Array<string>} The words
+ */
+function tokenize(value) {
+  return normalize(value).split(' ').filter(token => token.length > 0);
+}
+
+/**
+ * Get the fraction of words in one list that have a close match in another
+ * @param {Array<string>} tokens - The words to look for
+ * @param {Array<string>} target - The words to look in
+ * @returns {number} The fraction from 0 to 1
+ */
+function coverage(tokens, target) {
+  if (tokens.length === 0) {
+    return 0;
+  }
+
+  const found = tokens.filter(token => target.some(candidate => tokensMatch(token, candidate)));
+  return found.length / tokens.length;
+}
+
+/**
+ * Check whether two words match, allowing for small typos
+ * @param {string} a - The first word
+ * @param {string} b - The second word
+ * @returns {boolean} Whether the words match
+ */
+function tokensMatch(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  const shorter = Math.min(a.length, b.length);
+  if (shorter < 4) {
+    return false;
+  }
+
+  return editDistance(a, b) <= (shorter >= 8 ? 2 : 1);
+}
+
+/**
+ * Count the single-character edits (including swapping neighbours) to turn one word into another
+ * @param {string} a - The first word
+ * @param {string} b - The second word
+ * @returns {number} The edit distance
+ */
+function editDistance(a, b) {
+  const distances = [];
+
+  for (let i = 0; i <= a.length; i++) {
+    distances[i] = [i];
+  }
+  for (let j = 0; j <= b.length; j++) {
+    distances[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return distances[a.length][b.length];
+}
+
+/**
+ * Log a match decision to the console and the match log
+ * @param {string} query - The viewer's request
+ * @param {Object} parsed - The parsed request
+ * @param {Array<Object>} candidates - The scored candidates, best first
+ * @param {boolean} confident - Whether the best candidate was accepted
+ */
+function logDecision(query, parsed, candidates, confident) {
+  const describe = ({ track, score }) => ({
+    id: track.id,
+    name: track.name,
+    artists: track.artists.map(artist => artist.name).join(', '),
+    score: Math.round(score * 100) / 100,
+    playable: track.is_playable !== false
+  });
+
+  const entry = {
+    time: new Date().toISOString(),
+    query,
+    parsed,
+    accepted: confident,
+    threshold: MIN_CONFIDENCE,
+    candidates: candidates.slice(0, 5).map(describe)
+  };
+
+  if (candidates.length > 0) {
+    const best = entry.candidates[0];
+    console.log(`Search "${query}" ${confident ? 'matched' : 'rejected'} "${best.name}" by ${best.artists} (score ${best.score})`);
+  } else {
+    console.log(`Search "${query}" found no tracks`);
+  }
+
+  fs.appendFile(SEARCH_MATCH_LOG_PATH, JSON.stringify(entry) + '\n', error => {
+    if (error) {
+      console.error('Error writing search match log:', error.message);
+    }
+  });
+}
+
+module.exports = {
+  CANDIDATE_LIMIT,
+  pickBestMatch,
+  parseQuery
+};
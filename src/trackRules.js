@@ -0,0 +1,371 @@
+/**
+ * Track Rules Module
+ *
+ * Checks a requested track against the streamer's content rules before it's queued:
+ * - Minimum and maximum duration
+ * - Explicit tracks
+ * - Blocked title keywords (plain text or /regex/)
+ * - Blocked tracks and artists
+ * - Allowlist-only mode, where only listed tracks and artists can be requested
+ * - Repeats: songs already in the queue or played recently, and the same artist back to back
+ * - What to do with album, playlist, artist, episode and show links
+ * Rules are stored in track-rules.json and edited from the dashboard
+ */
+const fs = require('fs');
+const path = require('path');
+const queueStore = require('./queueStore');
+const requestApproval = require('./requestApproval');
+
+// Configuration
+const TRACK_RULES_PATH = process.env.TRACK_RULES_PATH || path.join(__dirname, '..', 'track-rules.json');
+
+// What each kind of non-track Spotify link can be turned into
+const LINK_POLICY_OPTIONS = {
+  album: [
+    { name: 'reject', label: 'Reject' },
+    { name: 'first', label: 'Queue the first track' },
+    { name: 'popular', label: 'Queue the most popular track' },
+    { name: 'random', label: 'Queue a random track' }
+  ],
+  playlist: [
+    { name: 'reject', label: 'Reject' },
+    { name: 'first', label: 'Queue the first track' },
+    { name: 'random', label: 'Queue a random track' }
+  ],
+  artist: [
+    { name: 'reject', label: 'Reject' },
+    { name: 'popular', label: 'Queue their most popular track' },
+    { name: 'random', label: 'Queue one of their top tracks at random' }
+  ],
+  episode: [
+    { name: 'reject', label: 'Reject' },
+    { name: 'queue', label: 'Queue the episode' }
+  ],
+  show: [
+    { name: 'reject', label: 'Reject' },
+    { name: 'latest', label: 'Queue the latest episode' }
+  ]
+};
+
+// Rules used until the streamer changes them, which allow every track
+const DEFAULT_RULES = {
+  // 0 means no limit
+  minDurationSeconds: 0,
+  maxDurationSeconds: 0,
+  blockExplicit: false,
+  blockedKeywords: [],
+  blockedTrackIds: [],
+  blockedArtistIds: [],
+  allowlistOnly: false,
+  allowedTrackIds: [],
+  allowedArtistIds: [],
+  // Minutes after a song plays before it can be requested again, or "stream" for the rest of the stream
+  repeatWindow: 0,
+  // Minutes after an artist plays before they can be requested again. They can't play back to back either way
+  artistCooldownMinutes: 0,
+  // Links that aren't to a single track are rejected until the streamer picks something else
+  linkPolicies: {
+    album: 'reject',
+    playlist: 'reject',
+    artist: 'reject',
+    episode: 'reject',
+    show: 'reject'
+  }
+};
+
+let rules = { ...DEFAULT_RULES };
+
+/**
+ * Load the rules from file
+ */
+function loadRules() {
+  try {
+    if (fs.existsSync(TRACK_RULES_PATH)) {
+      rules = normalizeRules(JSON.parse(fs.readFileSync(TRACK_RULES_PATH, 'utf8')));
+    }
+  } catch (error) {
+    console.error('Error loading track rules:', error);
+  }
+}
+
+/**
+ * Save the rules to file
+ */
+function saveRules() {
+  try {
+    fs.writeFileSync(TRACK_RULES_PATH, JSON.stringify(rules, null, 2));
+  } catch (error) {
+    console.error('Error saving track rules:', error);
+  }
+}
+
+/**
+ * Fill in missing rules and coerce values to the right types
+ * IDs can be given as plain IDs, Spotify URIs or open.spotify.com links
+ * @param {Object} input - The rules to normalize
+ * @returns {Object} The normalized rules
+ */
+function normalizeRules(input) {
+  const merged = { ...DEFAULT_RULES, ...input };
+
+  const keywords = toList(merged.blockedKeywords);
+  keywords.forEach(keyword => {
+    // Reject invalid patterns up front instead of failing on every request
+    toMatcher(keyword);
+  });
+
+  return {
+    minDurationSeconds: Math.max(parseInt(merged.minDurationSeconds, 10) || 0, 0),
+    maxDurationSeconds: Math.max(parseInt(merged.maxDurationSeconds, 10) || 0, 0),
+    blockExplicit: !!merged.blockExplicit,
+    blockedKeywords: keywords,
+    blockedTrackIds: toList(merged.blockedTrackIds).map(value => toSpotifyId(value, 'track')),
+    blockedArtistIds: toList(merged.blockedArtistIds).map(value => toSpotifyId(value, 'artist')),
+    allowlistOnly: !!merged.allowlistOnly,
+    allowedTrackIds: toList(merged.allowedTrackIds).map(value => toSpotifyId(value, 'track')),
+    allowedArtistIds: toList(merged.allowedArtistIds).map(value => toSpotifyId(value, 'artist')),
+    repeatWindow: merged.repeatWindow === 'stream' ? 'stream' : Math.max(parseInt(merged.repeatWindow, 10) || 0, 0),
+    artistCooldownMinutes: Math.max(parseInt(merged.artistCooldownMinutes, 10) || 0, 0),
+    linkPolicies: normalizeLinkPolicies(merged.linkPolicies)
+  };
+}
+
+/**
+ * Fill in missing link policies and reject unknown ones
+ * @param {Object} input - Link type -> policy name
+ * @returns {Object} The link policies
+ */
+function normalizeLinkPolicies(input) {
+  const policies = { ...DEFAULT_RULES.linkPolicies };
+
+  for (const [type, policy] of Object.entries(input || {})) {
+    if (!LINK_POLICY_OPTIONS[type]) {
+      throw new Error(`Unknown link type: ${type}`);
+    }
+    if (!LINK_POLICY_OPTIONS[type].some(option => option.name === policy)) {
+      throw new Error(`Unknown policy for ${type} links: ${policy}`);
+    }
+    policies[type] = policy;
+  }
+
+  return policies;
+}
+
+/**
+ * Turn an array or newline/comma separated string into a list of trimmed values
+ * @param {Array|string} value - The list
+ * @returns {Array<string>} The values
+ */
+function toList(value) {
+  const values = Array.isArray(value) ? value : String(value || '').split(/[\n,]/);
+  return values.map(item => String(item).trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Extract a Spotify ID from an ID, URI or link
+ * @param {string} value - The ID, URI or link
+ * @param {string} type - The Spotify object type (track or artist)
+ * @returns {string} The ID
+ */
+function toSpotifyId(value, type) {
+  const match = value.match(new RegExp(`${type}[/:]([a-zA-Z0-9]+)`));
+  return match ? match[1] : value;
+}
+
+/**
+ * Create a matcher for a blocked keyword
+ * "/pattern/flags" is a regular expression, anything else matches case-insensitively
+ * @param {string} keyword - The keyword or pattern
+ * @returns {Function} Checks whether a title matches
+ */
+function toMatcher(keyword) {
+  const regexMatch = keyword.match(/^\/(.+)\/([a-z]*)$/);
+
+  if (regexMatch) {
+    let pattern;
+    try {
+      pattern = new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (error) {
+      throw new Error(`Invalid keyword pattern ${keyword}: ${error.message}`);
+    }
+    return title => pattern.test(title);
+  }
+
+  const lowerKeyword = keyword.toLowerCase();
+  return title => title.toLowerCase().includes(lowerKeyword);
+}
+
+/**
+ * Get the rules for the dashboard
+ * @returns {Object} The rules
+ */
+function getRules() {
+  return rules;
+}
+
+/**
+ * Get the policies the streamer can choose from for each kind of link
+ * @returns {Object} Link type -> list of { name, label }
+ */
+function getLinkPolicyOptions() {
+  return LINK_POLICY_OPTIONS;
+}
+
+/**
+ * Get what to do with a kind of non-track Spotify link
+ * @param {string} type - The link type (album, playlist, artist, episode or show)
+ * @returns {string} The policy name
+ */
+function getLinkPolicy(type) {
+  return rules.linkPolicies[type] || 'reject';
+}
+
+/**
+ * Replace the rules
+ * @param {Object} newRules - The new rules
+ * @returns {Object} The normalized rules
+ */
+function updateRules(newRules) {
+  rules = normalizeRules(newRules);
+  saveRules();
+  console.log('Updated track rules');
+  return rules;
+}
+
+/**
+ * Check a track against the rules
+ * @param {Object} track - The full track object from the Spotify API
+ * @returns {Object} { allowed: true } or { allowed: false, reason }
+ */
+function checkTrack(track) {
+  const artistIds = track.artists.map(artist => artist.id);
+
+  if (rules.allowlistOnly) {
+    const allowed = rules.allowedTrackIds.includes(track.id) ||
+      artistIds.some(id => rules.allowedArtistIds.includes(id));
+
+    if (!allowed) {
+      return { allowed: false, reason: `"${track.name}" isn't on the list of songs that can be requested` };
+    }
+  }
+
+  if (rules.blockedTrackIds.includes(track.id)) {
+    return { allowed: false, reason: `"${track.name}" is blocked on this stream` };
+  }
+
+  const blockedArtist = track.artists.find(artist => rules.blockedArtistIds.includes(artist.id));
+  if (blockedArtist) {
+    return { allowed: false, reason: `Songs by ${blockedArtist.name} are blocked on this stream` };
+  }
+
+  if (rules.blockExplicit && track.explicit) {
+    return { allowed: false, reason: `"${track.name}" is explicit and explicit songs aren't allowed` };
+  }
+
+  const durationSeconds = Math.round(track.duration_ms / 1000);
+
+  if (rules.maxDurationSeconds > 0 && durationSeconds > rules.maxDurationSeconds) {
+    return { allowed: false, reason: `"${track.name}" is too long (${formatDuration(durationSeconds)}, max ${formatDuration(rules.maxDurationSeconds)})` };
+  }
+
+  if (rules.minDurationSeconds > 0 && durationSeconds < rules.minDurationSeconds) {
+    return { allowed: false, reason: `"${track.name}" is too short (${formatDuration(durationSeconds)}, min ${formatDuration(rules.minDurationSeconds)})` };
+  }
+
+  const blockedKeyword = rules.blockedKeywords.find(keyword => toMatcher(keyword)(track.name));
+  if (blockedKeyword) {
+    return { allowed: false, reason: `"${track.name}" isn't allowed on this stream` };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Check a track against the queue and play history
+ * Songs that are already waiting in the queue or for a moderator's approval are always rejected
+ * @param {Object} track - The full track object from the Spotify API
+ * @param {Object} options - Additional options
+ * @param {string} options.approvalId - ID of the pending approval being checked, so it doesn't count itself (optional)
+ * @param {string} options.requestedBy - Username of the requester, to work out where the request lands in the queue
+ * @param {boolean} options.priority - Whether this is a "play next" request (optional)
+ * @param {string} options.replaces - ID of the request this one replaces (optional)
+ * @returns {Object} { allowed: true } or { allowed: false, reason }
+ */
+function checkRepeats(track, options = {}) {
+  const pending = queueStore.getQueue().filter(request => !request.vetoed);
+
+  if (pending.some(request => request.trackId === track.id)) {
+    return { allowed: false, reason: `"${track.name}" is already in the queue` };
+  }
+
+  const awaitingApproval = requestApproval.getPending().some(approval =>
+    approval.id !== options.approvalId && approval.songRequest.trackId === track.id
+  );
+  if (awaitingApproval) {
+    return { allowed: false, reason: `"${track.name}" is already waiting for approval` };
+  }
+
+  if (rules.repeatWindow) {
+    const since = rules.repeatWindow === 'stream' ? undefined : Date.now() - rules.repeatWindow * 60 * 1000;
+    const played = queueStore.getPlayHistory(since).some(entry => entry.trackId === track.id);
+
+    if (played) {
+      const windowLabel = rules.repeatWindow === 'stream' ? 'this stream' : `the last ${rules.repeatWindow} minutes`;
+      return { allowed: false, reason: `"${track.name}" was already played in ${windowLabel}` };
+    }
+  }
+
+  if (rules.artistCooldownMinutes > 0) {
+    const recentArtistIds = new Set();
+    queueStore.getPlayHistory(Date.now() - rules.artistCooldownMinutes * 60 * 1000)
+      .forEach(entry => entry.artistIds.forEach(id => recentArtistIds.add(id)));
+
+    const recentArtist = track.artists.find(artist => recentArtistIds.has(artist.id));
+    if (recentArtist) {
+      return { allowed: false, reason: `${recentArtist.name} was played too recently, try another artist` };
+    }
+  }
+
+  // Check the songs either side of where the request will land. At the front of the queue it
+  // follows the song that started playing last
+  const { previous, next } = queueStore.getNeighbours({
+    requestedBy: options.requestedBy,
+    priority: options.priority
+  }, options.replaces);
+  const history = queueStore.getPlayHistory();
+  const neighbourArtistIds = new Set();
+  [previous || history[history.length - 1], next].forEach(neighbour => {
+    if (neighbour && neighbour.artistIds) {
+      neighbour.artistIds.forEach(id => neighbourArtistIds.add(id));
+    }
+  });
+
+  const adjacentArtist = track.artists.find(artist => neighbourArtistIds.has(artist.id));
+  if (adjacentArtist) {
+    return { allowed: false, reason: `${adjacentArtist.name} would play back to back, try another artist` };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Format a duration as m:ss
+ * @param {number} seconds - The duration in seconds
+ * @returns {string} The formatted duration
+ */
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Load the rules when the module is loaded
+loadRules();
+
+module.exports = {
+  getRules,
+  getLinkPolicyOptions,
+  getLinkPolicy,
+  updateRules,
+  checkTrack,
+  checkRepeats
+};
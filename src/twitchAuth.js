@@ -11,7 +11,23 @@ const TWITCH_REDIRECT_URI = process.env.TWITCH_REDIRECT_URI || 'http://localhost
 const TOKEN_PATH = path.join(__dirname, '..', 'twitch_tokens.json');
 
 // Scopes needed for channel point redemptions and follows
-const SCOPES = ['channel:read:redemptions'];
+// channel:manage:redemptions lets us fulfill or refund redemptions
+// chat:read and chat:edit let the chat bot use the streamer's account
+// user:write:chat lets us reply to viewers through Helix when the chat bot isn't running
+// bits:read lets us turn cheers into song requests
+// The moderator, VIP, subscription and follower scopes let the request policy look up viewer roles
+const SCOPES = [
+  'channel:read:redemptions',
+  'channel:manage:redemptions',
+  'chat:read',
+  'chat:edit',
+  'user:write:chat',
+  'bits:read',
+  'moderation:read',
+  'channel:read:vips',
+  'channel:read:subscriptions',
+  'moderator:read:followers'
+];
 
 let accessToken = null;
 let refreshToken = null;
@@ -111,10 +127,12 @@ async function handleCallback(code) {
     fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokens, null, 2));
     console.log('Successfully authenticated with Twitch');
     
-    // Set up EventSub subscription if in production
-    if (process.env.NODE_ENV === 'production' && process.env.APP_URL) {
+    // Set up EventSub subscription if in production or using the WebSocket transport
+    const twitchEventSub = require('./twitchEventSub');
+    if (twitchEventSub.getTransport() === 'websocket') {
+      twitchEventSub.startWebSocketTransport();
+    } else if (process.env.NODE_ENV === 'production' && process.env.APP_URL) {
       try {
-        const twitchEventSub = require('./twitchEventSub');
         // Fix double slash in URL if present
         let baseUrl = process.env.APP_URL;
         // Remove trailing slash if present
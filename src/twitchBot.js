@@ -0,0 +1,464 @@
+/**
+ * Twitch Chat Bot Module
+ *
+ * Connects to Twitch chat with tmi.js and handles song request commands:
+ * - !sr <query>: Request a song (gated by SONG_REQUEST_PERMISSION)
+ * - !song: Show the current song and who requested it
+ * - !queue: Show the next few requests
+ * - !myrequests: Show your pending requests
+ * - !wrongsong [song]: Remove your most recent request, or replace it with another song
+ * - !removesong <position|name>: Remove a request (moderators only)
+ * - !movesong <position> <new position>: Reorder a request (moderators only, app-held queue)
+ */
+const tmi = require('tmi.js');
+const twitchAuth = require('./twitchAuth');
+const queueStore = require('./queueStore');
+const chatNotifier = require('./chatNotifier');
+const viewerRequests = require('./viewerRequests');
+
+// Configuration
+const TWITCH_CHANNEL = process.env.TWITCH_CHANNEL;
+// Chat as a separate bot account if set, otherwise as the streamer
+const BOT_USERNAME = process.env.TWITCH_BOT_USERNAME || null;
+const BOT_OAUTH_TOKEN = process.env.TWITCH_BOT_OAUTH_TOKEN || null;
+// Chat commands run on their own when EventSub is off, or alongside it if ENABLE_CHAT_BOT is set
+const CHAT_BOT_ENABLED = process.env.USE_EVENTSUB !== 'true' || process.env.ENABLE_CHAT_BOT === 'true';
+// Who can use !sr: everyone, subscriber, vip, moderator or broadcaster
+const SONG_REQUEST_PERMISSION = process.env.SONG_REQUEST_PERMISSION || 'everyone';
+
+// Permission levels, lowest first
+const PERMISSION_LEVELS = ['everyone', 'subscriber', 'vip', 'moderator', 'broadcaster'];
+
+// How many requests !queue lists before summarizing the rest
+const QUEUE_PREVIEW_LENGTH = 5;
+
+let client = null;
+let spotifyClient = null;
+
+/**
+ * Initialize the chat bot and connect to Twitch chat
+ * @param {Object} spotify - The initialized Spotify client
+ * @param {Object} options - Overrides for tests
+ * @param {Object} options.connection - tmi.js connection options (e.g. a local IRC server)
+ * @param {Object} options.identity - tmi.js identity (username and password)
+ * @returns {Promise<boolean>} Whether the bot connected
+ */
+async function initialize(spotify, options = {}) {
+  if (!TWITCH_CHANNEL) {
+    throw new Error('Twitch channel name not set in environment variables');
+  }
+
+  spotifyClient = spotify;
+
+  const identity = options.identity || getIdentity();
+  if (!identity) {
+    console.log('No Twitch chat credentials available. Authenticate with Twitch or set TWITCH_BOT_USERNAME and TWITCH_BOT_OAUTH_TOKEN.');
+    return false;
+  }
+
+  // Reconnect with fresh credentials if we're already connected
+  await disconnect();
+
+  client = new tmi.Client({
+    options: { skipUpdatingEmotesets: true },
+    connection: { reconnect: true, secure: true, ...options.connection },
+    identity,
+    channels: [TWITCH_CHANNEL]
+  });
+
+  client.on('message', (channel, tags, message, self) => {
+    if (self) {
+      return;
+    }
+
+    handleMessage(channel, tags, message).catch(error => {
+      console.error('Error handling chat message:', error);
+    });
+  });
+
+  await client.connect();
+  console.log(`Connected to Twitch chat as ${identity.username} in #${TWITCH_CHANNEL}`);
+  return true;
+}
+
+/**
+ * Get the chat identity, preferring a dedicated bot account
+ * @returns {Object|null} The tmi.js identity or null if no credentials are available
+ */
+function getIdentity() {
+  if (BOT_USERNAME && BOT_OAUTH_TOKEN) {
+    return {
+      username: BOT_USERNAME,
+      password: BOT_OAUTH_TOKEN.startsWith('oauth:') ? BOT_OAUTH_TOKEN : `oauth:${BOT_OAUTH_TOKEN}`
+    };
+  }
+
+  const accessToken = twitchAuth.getAccessToken();
+  if (!accessToken) {
+    return null;
+  }
+
+  return {
+    username: TWITCH_CHANNEL,
+    password: `oauth:${accessToken}`
+  };
+}
+
+/**
+ * Disconnect from Twitch chat
+ */
+async function disconnect() {
+  if (!client) {
+    return;
+  }
+
+  const oldClient = client;
+  client = null;
+
+  try {
+    await oldClient.disconnect();
+  } catch (error) {
+    // Already disconnected
+  }
+}
+
+/**
+ * Send a message to chat
+ * @param {string} channel - The channel to send to
+ * @param {string} message - The message
+ */
+async function say(channel, message) {
+  if (!client) {
+    throw new Error('Not connected to Twitch chat');
+  }
+
+  await client.say(channel, message);
+}
+
+/**
+ * Check if the chat bot is enabled in the environment
+ * @returns {boolean} Whether the chat bot should run
+ */
+function isEnabled() {
+  return CHAT_BOT_ENABLED;
+}
+
+/**
+ * Check if the bot is connected to chat
+ * @returns {boolean} Whether the bot is connected
+ */
+function isConnected() {
+  return !!client && client.readyState() === 'OPEN';
+}
+
+/**
+ * Handle a chat message, running any command in it
+ * @param {string} channel - The channel the message was sent in
+ * @param {Object} tags - The message tags (badges, display name, ...)
+ * @param {string} message - The message text
+ */
+async function handleMessage(channel, tags, message) {
+  const match = message.trim().match(/^!(\w+)\s*(.*)$/);
+  if (!match) {
+    return;
+  }
+
+  const command = match[1].toLowerCase();
+  const args = match[2].trim();
+  const username = tags['display-name'] || tags.username;
+
+  let reply;
+  switch (command) {
+    case 'sr':
+      reply = await handleSongRequest(tags, username, args);
+      break;
+    case 'song':
+      reply = await handleCurrentSong();
+      break;
+    case 'queue':
+      reply = handleQueue();
+      break;
+    case 'myrequests':
+      reply = handleMyRequests(username);
+      break;
+    case 'wrongsong':
+      reply = await handleWrongSong(tags, username, args);
+      break;
+    case 'removesong':
+      reply = handleRemoveSong(tags, username, args);
+      break;
+    case 'movesong':
+      reply = handleMoveSong(tags, username, args);
+      break;
+    default:
+      return;
+  }
+
+  if (reply) {
+    await chatNotifier.send(reply, channel);
+  }
+}
+
+/**
+ * Handle !sr <query>
+ * @param {Object} tags - The message tags
+ * @param {string} username - The requester's display name
+ * @param {string} query - The song name, Spotify link or Spotify URI
+ * @returns {Promise<string|null>} The reply, or null if the chat notifier already replied
+ */
+async function handleSongRequest(tags, username, query) {
+  if (!hasPermission(tags, SONG_REQUEST_PERMISSION)) {
+    return `@${username} Song requests are limited to ${SONG_REQUEST_PERMISSION}s`;
+  }
+
+  if (!query) {
+    return `@${username} Usage: !sr <song name or Spotify link>`;
+  }
+
+  if (!spotifyClient || !spotifyClient.isInitialized()) {
+    return `@${username} Song requests aren't available right now`;
+  }
+
+  console.log(`Chat song request from ${username}: ${query}`);
+  const result = await spotifyClient.addSongToQueue(query, username, {
+    requester: { userId: tags['user-id'], roles: getRolesFromTags(tags) },
+    source: 'chat'
+  });
+
+  chatNotifier.notifyRequestResult(username, result)
+    .catch(error => console.error('Error telling the requester in chat:', error));
+  return null;
+}
+
+/**
+ * Handle !song
+ * @returns {Promise<string>} The reply
+ */
+async function handleCurrentSong() {
+  if (!spotifyClient || !spotifyClient.isInitialized()) {
+    return 'Spotify isn\'t connected right now';
+  }
+
+  const currentlyPlaying = await spotifyClient.getCurrentlyPlaying();
+  if (!currentlyPlaying || !currentlyPlaying.item) {
+    return 'Nothing is playing right now';
+  }
+
+  const track = currentlyPlaying.item;
+  const artistName = track.artists.map(artist => artist.name).join(', ');
+  const request = queueStore.getCurrentlyPlaying();
+
+  if (request && request.trackId === track.id) {
+    return `Now playing: "${track.name}" by ${artistName} (requested by ${request.requestedBy})`;
+  }
+
+  return `Now playing: "${track.name}" by ${artistName}`;
+}
+
+/**
+ * Handle !queue
+ * @returns {string} The reply
+ */
+function handleQueue() {
+  const pending = getPendingRequests();
+
+  if (pending.length === 0) {
+    return 'The request queue is empty';
+  }
+
+  const preview = pending
+    .slice(0, QUEUE_PREVIEW_LENGTH)
+    .map((request, index) => `${index + 1}. "${request.trackName}" by ${request.artistName} (${request.requestedBy})`)
+    .join(' | ');
+  const remaining = pending.length - QUEUE_PREVIEW_LENGTH;
+
+  return remaining > 0 ? `${preview} | +${remaining} more` : preview;
+}
+
+/**
+ * Handle !myrequests
+ * @param {string} username - The viewer's display name
+ * @returns {string} The reply
+ */
+function handleMyRequests(username) {
+  const requests = getPendingRequests()
+    .map((request, index) => ({ request, position: index + 1 }))
+    .filter(({ request }) => isSameUser(request.requestedBy, username));
+
+  if (requests.length === 0) {
+    return `@${username} You don't have any songs in the queue`;
+  }
+
+  const list = requests
+    .map(({ request, position }) => `#${position} "${request.trackName}" by ${request.artistName}`)
+    .join(' | ');
+  return `@${username} ${list}`;
+}
+
+/**
+ * Handle !wrongsong [song], removing or replacing the viewer's most recent request
+ * @param {Object} tags - The message tags
+ * @param {string} username - The viewer's display name
+ * @param {string} query - The replacement song, or empty to just remove the request
+ * @returns {Promise<string|null>} The reply, or null if the chat notifier already replied
+ */
+async function handleWrongSong(tags, username, query) {
+  if (!query) {
+    const result = viewerRequests.removeRequest(username);
+    return result.success
+      ? `@${username} Removed "${result.trackName}" by ${result.artistName} from the queue`
+      : `@${username} ${result.error}`;
+  }
+
+  if (!hasPermission(tags, SONG_REQUEST_PERMISSION)) {
+    return `@${username} Song requests are limited to ${SONG_REQUEST_PERMISSION}s`;
+  }
+
+  if (!spotifyClient || !spotifyClient.isInitialized()) {
+    return `@${username} Song requests aren't available right now`;
+  }
+
+  console.log(`Chat request replacement from ${username}: ${query}`);
+  const result = await viewerRequests.replaceRequest(username, query, (replacement, options) =>
+    spotifyClient.addSongToQueue(replacement, username, {
+      ...options,
+      requester: { userId: tags['user-id'], roles: getRolesFromTags(tags) },
+      source: 'chat'
+    })
+  );
+
+  chatNotifier.notifyRequestResult(username, result)
+    .catch(error => console.error('Error telling the requester in chat:', error));
+  return null;
+}
+
+/**
+ * Handle !removesong <position|name>
+ * @param {Object} tags - The message tags
+ * @param {string} username - The moderator's display name
+ * @param {string} query - A queue position or part of the track or artist name
+ * @returns {string|null} The reply, or null if the user can't use the command
+ */
+function handleRemoveSong(tags, username, query) {
+  if (!hasPermission(tags, 'moderator')) {
+    return null;
+  }
+
+  if (!query) {
+    return `@${username} Usage: !removesong <position or song name>`;
+  }
+
+  const index = queueStore.findRequest(query);
+  if (index === -1) {
+    return `@${username} No queued request matches "${query}"`;
+  }
+
+  const request = queueStore.vetoRequest(index, username);
+  return `@${username} Removed "${request.trackName}" by ${request.artistName} (requested by ${request.requestedBy}) from the queue`;
+}
+
+/**
+ * Handle !movesong <position> <new position>
+ * @param {Object} tags - The message tags
+ * @param {string} username - The moderator's display name
+ * @param {string} args - The request's current and new queue positions
+ * @returns {string|null} The reply, or null if the user can't use the command
+ */
+function handleMoveSong(tags, username, args) {
+  if (!hasPermission(tags, 'moderator')) {
+    return null;
+  }
+
+  const match = args.match(/^(\d+)\s+(\d+)$/);
+  if (!match) {
+    return `@${username} Usage: !movesong <position> <new position>`;
+  }
+
+  const index = queueStore.findRequest(match[1]);
+  if (index === -1) {
+    return `@${username} There's no request at position ${match[1]}`;
+  }
+
+  try {
+    const request = queueStore.moveRequest(index, parseInt(match[2], 10));
+    const position = getPendingRequests().indexOf(request) + 1;
+    return `@${username} Moved "${request.trackName}" by ${request.artistName} to position ${position}`;
+  } catch (error) {
+    return `@${username} ${error.message}`;
+  }
+}
+
+/**
+ * Check whether a chatter has at least the given permission level
+ * @param {Object} tags - The message tags
+ * @param {string} required - The required permission level
+ * @returns {boolean} Whether the chatter has the permission
+ */
+function hasPermission(tags, required) {
+  return PERMISSION_LEVELS.indexOf(getPermissionLevel(tags)) >= PERMISSION_LEVELS.indexOf(required);
+}
+
+/**
+ * Get a chatter's highest permission level from their badges
+ * @param {Object} tags - The message tags
+ * @returns {string} The permission level
+ */
+function getPermissionLevel(tags) {
+  const badges = tags.badges || {};
+
+  if (badges.broadcaster) return 'broadcaster';
+  if (tags.mod || badges.moderator) return 'moderator';
+  if (badges.vip) return 'vip';
+  if (tags.subscriber || badges.subscriber || badges.founder) return 'subscriber';
+  return 'everyone';
+}
+
+/**
+ * Get a chatter's roles from their badges for the request policy
+ * Follower age isn't in the badges, so it's looked up by the policy
+ * @param {Object} tags - The message tags
+ * @returns {Object} The chatter's roles
+ */
+function getRolesFromTags(tags) {
+  const badges = tags.badges || {};
+  // Subscriber badge versions are 2000+ for tier 2 and 3000+ for tier 3
+  const subscriberBadge = parseInt(badges.subscriber, 10) || 0;
+  let subscriberTier = 0;
+  if (badges.subscriber || badges.founder || tags.subscriber) {
+    subscriberTier = subscriberBadge >= 3000 ? 3 : subscriberBadge >= 2000 ? 2 : 1;
+  }
+
+  return {
+    broadcaster: !!badges.broadcaster,
+    moderator: !!(tags.mod || badges.moderator),
+    vip: !!badges.vip,
+    subscriberTier
+  };
+}
+
+/**
+ * Get the requests that are still waiting to play
+ * Vetoed songs are still in Spotify's queue but will be skipped, so they're hidden
+ * @returns {Array} The pending requests
+ */
+function getPendingRequests() {
+  return queueStore.getQueue().filter(request => !request.vetoed);
+}
+
+/**
+ * Compare usernames case-insensitively
+ * @param {string} a - The first username
+ * @param {string} b - The second username
+ * @returns {boolean} Whether the usernames match
+ */
+function isSameUser(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+module.exports = {
+  initialize,
+  disconnect,
+  say,
+  isEnabled,
+  isConnected
+};
@@ -3,16 +3,53 @@ const crypto = require('crypto');
 const axios = require('axios');
 const twitchAuth = require('./twitchAuth');
 const sheetsManager = require('./sheetsManager');
+const rewardManager = require('./rewardManager');
+const rewardActions = require('./rewardActions');
+const chatNotifier = require('./chatNotifier');
+const cheerRequests = require('./cheerRequests');
+const requestPolicy = require('./requestPolicy');
+const queueStore = require('./queueStore');
+const eventSubWebSocket = require('./twitchEventSubWebSocket');
+const { createMessageIdCache } = require('./messageIdCache');
+const webhookSecret = require('./webhookSecret');
+const viewerAuth = require('./viewerAuth');
 
 // Configuration
 const TWITCH_CLIENT_ID = process.env.TWITCH_CLIENT_ID;
 const TWITCH_CHANNEL = process.env.TWITCH_CHANNEL;
 const REDEMPTION_NAME = process.env.TWITCH_REDEMPTION_NAME || 'Song Request';
+// 'webhook' needs a public HTTPS URL, 'websocket' works anywhere (e.g. local development)
+const EVENTSUB_TRANSPORT = process.env.EVENTSUB_TRANSPORT || 'webhook';
+const EVENTSUB_API_URL = process.env.TWITCH_EVENTSUB_API_URL || 'https://api.twitch.tv/helix/eventsub/subscriptions';
 
 let spotifyClient = null;
 let userId = null;
-let webhookSecret = null;
 let subscriptionId = null;
+let lastCallbackUrl = null;
+
+// Twitch recommends rejecting messages older than 10 minutes to prevent replay attacks
+const MAX_MESSAGE_AGE_MS = 10 * 60 * 1000;
+
+// Webhook message IDs we've already handled, so retried deliveries aren't processed twice
+const seenMessageIds = createMessageIdCache();
+
+// Backoff for re-subscribing after Twitch revokes our subscription
+const RESUBSCRIBE_BASE_DELAY_MS = 30 * 1000;
+const RESUBSCRIBE_MAX_DELAY_MS = 30 * 60 * 1000;
+const MAX_RESUBSCRIBE_ATTEMPTS = 10;
+
+// EventSub subscription state, shown on the dashboard
+let subscriptionState = {
+  status: 'not_subscribed',
+  transport: EVENTSUB_TRANSPORT,
+  subscriptionId: null,
+  reason: null,
+  retryCount: 0,
+  nextRetryAt: null,
+  lastError: null,
+  updatedAt: new Date().toISOString()
+};
+let resubscribeTimeout = null;
 
 /**
  * Initialize the Twitch EventSub integration
@@ -27,7 +64,8 @@ async function initialize(spotify, app) {
   spotifyClient = spotify;
   
   // Set up the webhook endpoint
-  webhookSecret = crypto.randomBytes(16).toString('hex');
+  // The secret is persisted so subscriptions created before a restart still verify
+  webhookSecret.getSecret();
   setupWebhookEndpoint(app);
   
   // Initialize Google Sheets for tracking song requests
@@ -54,8 +92,9 @@ async function initialize(spotify, app) {
     
     console.log('Twitch authentication initialized');
     
-    userId = await getUserId(TWITCH_CHANNEL);
-    console.log(`Resolved Twitch channel ${TWITCH_CHANNEL} to user ID: ${userId}`);
+    await initializeBroadcaster();
+    
+    await setupSongRequestReward();
     
     twitchAuth.setupAuthRoutes(app);
     
@@ -67,6 +106,39 @@ async function initialize(spotify, app) {
   }
 }
 
+/**
+ * Look up the broadcaster's user ID and pass it to the modules that call Helix for the channel
+ * The IRC transport calls this too, since role lookups and chat messages need it without EventSub
+ * @returns {Promise<string>} The broadcaster's user ID
+ */
+async function initializeBroadcaster() {
+  userId = await getUserId(TWITCH_CHANNEL);
+  console.log(`Resolved Twitch channel ${TWITCH_CHANNEL} to user ID: ${userId}`);
+  chatNotifier.initialize(userId);
+  requestPolicy.initialize(userId);
+  return userId;
+}
+
+/**
+ * Create or look up the bot-owned song request reward
+ * @returns {Promise<boolean>} Whether the reward is ready
+ */
+async function setupSongRequestReward() {
+  if (!userId) {
+    await initializeBroadcaster();
+  }
+  
+  const rewardInitialized = await rewardManager.initialize(userId);
+  
+  if (rewardInitialized) {
+    rewardManager.startAutoPause(spotifyClient);
+  } else {
+    console.warn(`Could not set up the song request reward, falling back to matching redemptions titled "${REDEMPTION_NAME}"`);
+  }
+  
+  return rewardInitialized;
+}
+
 /**
  * Set up the webhook endpoint for EventSub notifications
  * @param {Object} app - The Express app instance
@@ -123,8 +195,7 @@ function setupWebhookEndpoint(app) {
       
       res.status(200).json({ 
         status: 'ok', 
-        message: 'Subscriptions recreated successfully',
-        webhookSecret: webhookSecret
+        message: 'Subscriptions recreated successfully'
       });
     } catch (error) {
       console.error('Error recreating subscriptions:', error);
@@ -132,6 +203,38 @@ function setupWebhookEndpoint(app) {
     }
   });
   
+  // Add an endpoint to rotate the webhook secret and recreate subscriptions with it
+  // Only the broadcaster can do this, since it deletes and recreates every subscription
+  app.post('/webhook/twitch/rotate-secret', express.json(), async (req, res) => {
+    console.log('Received request to rotate the webhook secret');
+    
+    const viewer = viewerAuth.getViewer(req);
+    const roles = viewer ? await requestPolicy.resolveRoles({ userId: viewer.userId }) : null;
+    if (!roles || !roles.broadcaster) {
+      return res.status(viewer ? 403 : 401).json({
+        status: 'error',
+        message: viewer
+          ? `Only the broadcaster can rotate the webhook secret, you're logged in as ${viewer.displayName}`
+          : 'Log in with Twitch as the broadcaster to rotate the webhook secret',
+        loginUrl: '/viewer/login?returnTo=/auth-streamer'
+      });
+    }
+    
+    try {
+      const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+      const host = req.headers['x-forwarded-host'] || req.headers.host;
+      const baseUrl = `${protocol}://${host}`;
+      
+      webhookSecret.rotateSecret();
+      await setupEventSubForDeployment(baseUrl, true);
+      
+      res.status(200).json({ status: 'ok', message: 'Webhook secret rotated and subscriptions recreated' });
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      res.status(500).json({ status: 'error', message: error.message });
+    }
+  });
+  
   // Handle GET requests for webhook verification
   app.get('/webhook/twitch', (req, res) => {
     // Handle Twitch verification challenge
@@ -139,22 +242,8 @@ function setupWebhookEndpoint(app) {
       // Legacy WebSub verification
       const challenge = req.query['hub.challenge'];
       res.status(200).send(challenge);
-    } else if (req.headers['twitch-eventsub-message-type'] === 'webhook_callback_verification') {
-      // EventSub verification
-      try {
-        const body = req.body;
-        
-        if (body && body.challenge) {
-          res.status(200).send(body.challenge);
-        } else {
-          console.error('No challenge found in EventSub verification request');
-          res.status(400).send('No challenge found');
-        }
-      } catch (error) {
-        console.error('Error handling EventSub verification:', error);
-        res.status(500).send('Error processing verification');
-      }
     } else {
+      // EventSub verification challenges are signed POST requests, handled below
       res.status(200).send('Webhook endpoint is ready');
     }
   });
@@ -173,20 +262,8 @@ function setupWebhookEndpoint(app) {
       return res.status(400).send('Invalid request body');
     }
     
-    // Get the message type
+    // Verify every message, including verification challenges, before acting on it
     const messageType = req.headers['twitch-eventsub-message-type'];
-    // Handle verification challenge
-    if (messageType === 'webhook_callback_verification') {
-      if (notification.challenge) {
-        // Return the challenge exactly as specified by Twitch
-        return res.set('Content-Type', 'text/plain').status(200).send(notification.challenge);
-      } else {
-        console.error('No challenge found in verification request');
-        return res.status(400).send('No challenge found');
-      }
-    }
-    
-    // For other message types, verify the signature
     const messageId = req.headers['twitch-eventsub-message-id'];
     const timestamp = req.headers['twitch-eventsub-message-timestamp'];
     const messageSignature = req.headers['twitch-eventsub-message-signature'];
@@ -196,21 +273,37 @@ function setupWebhookEndpoint(app) {
       return res.status(403).send('Missing required headers');
     }
     
-    // Create the signature
-    const hmacMessage = messageId + timestamp + body;
-    const signature = 'sha256=' + crypto.createHmac('sha256', webhookSecret)
-      .update(hmacMessage)
-      .digest('hex');
-    
-    console.log('Computed signature:', signature);
-    console.log('Received signature:', messageSignature);
-    
     // Verify the signature
-    if (signature !== messageSignature) {
+    if (!verifySignature(messageId, timestamp, body, messageSignature)) {
       console.error('Signature verification failed');
       return res.status(403).send('Signature verification failed');
     }
     
+    // Reject old messages so a captured request can't be replayed later
+    const messageAge = Date.now() - Date.parse(timestamp);
+    if (Number.isNaN(messageAge) || messageAge > MAX_MESSAGE_AGE_MS) {
+      console.error(`Rejecting message ${messageId} with stale timestamp: ${timestamp}`);
+      return res.status(403).send('Message timestamp is too old');
+    }
+    
+    // Twitch retries deliveries it thinks failed, acknowledge duplicates without processing them again
+    if (seenMessageIds.has(messageId)) {
+      console.log(`Ignoring duplicate message: ${messageId}`);
+      return res.status(204).end();
+    }
+    seenMessageIds.add(messageId);
+    
+    // Handle verification challenge
+    if (messageType === 'webhook_callback_verification') {
+      if (notification.challenge) {
+        // Return the challenge exactly as specified by Twitch
+        return res.set('Content-Type', 'text/plain').status(200).send(notification.challenge);
+      } else {
+        console.error('No challenge found in verification request');
+        return res.status(400).send('No challenge found');
+      }
+    }
+    
     // Handle the notification based on message type
     if (messageType === 'notification') {
       try {
@@ -225,6 +318,7 @@ function setupWebhookEndpoint(app) {
       console.log('Subscription revoked:', notification.subscription.type);
       console.log('Reason:', notification.subscription.status);
       console.log('Condition:', JSON.stringify(notification.subscription.condition, null, 2));
+      handleRevocation(notification.subscription);
     } else {
       console.log('Unhandled message type:', messageType);
     }
@@ -235,12 +329,40 @@ function setupWebhookEndpoint(app) {
 }
 
 
+/**
+ * Verify the HMAC signature of an EventSub webhook message
+ * @param {string} messageId - The Twitch-Eventsub-Message-Id header
+ * @param {string} timestamp - The Twitch-Eventsub-Message-Timestamp header
+ * @param {string} body - The raw request body
+ * @param {string} messageSignature - The Twitch-Eventsub-Message-Signature header
+ * @returns {boolean} Whether the signature is valid
+ */
+function verifySignature(messageId, timestamp, body, messageSignature) {
+  const hmacMessage = messageId + timestamp + body;
+  const received = Buffer.from(messageSignature);
+  
+  // Right after a rotation, messages signed with the previous secret are still accepted
+  return webhookSecret.getAcceptedSecrets().some(secret => {
+    const signature = 'sha256=' + crypto.createHmac('sha256', secret)
+      .update(hmacMessage)
+      .digest('hex');
+    const expected = Buffer.from(signature);
+    
+    // Compare in constant time so the signature can't be guessed byte by byte
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  });
+}
+
 /**
  * Handle a song request from a Twitch user
  * @param {string} username - The username of the requester
  * @param {string} message - The message containing the song request
+ * @param {Object} options - Request options passed on to the Spotify client
+ * @returns {Promise<Object>} The result of the song request
  */
-async function handleSongRequest(username, message) {
+async function handleSongRequest(username, message, options = {}) {
+  let result;
+  
   try {
     // Check if Spotify client is initialized
     if (!spotifyClient || !spotifyClient.isInitialized()) {
@@ -248,40 +370,110 @@ async function handleSongRequest(username, message) {
     }
     
     // Process the song request
-    const result = await spotifyClient.addSongToQueue(message, username);
+    result = await spotifyClient.addSongToQueue(message, username, options);
     
-    if (result.success) {
+    if (result.pendingApproval) {
+      console.log(`Song "${result.trackName}" by ${result.artistName} is waiting for approval`);
+    } else if (result.success) {
       console.log(`Added song "${result.trackName}" by ${result.artistName} to queue`);
-      
-      // Update Google Sheets leaderboards
-      if (sheetsManager.isInitialized()) {
-        try {
-          // Update song leaderboard
-          await sheetsManager.updateSongLeaderboard({
-            trackId: result.trackId,
-            trackName: result.trackName,
-            artistName: result.artistName
-          }, username);
-          
-          // Update user leaderboard
-          await sheetsManager.updateUserLeaderboard(username, new Date().toLocaleString());
-          
-          console.log(`Updated leaderboards for song request by ${username}`);
-        } catch (sheetsError) {
-          console.error('Error updating leaderboards:', sheetsError);
-        }
-      } else {
-        console.warn('Google Sheets not initialized, skipping leaderboard updates');
-      }
+      await updateLeaderboards(username, result);
     } else {
       console.error(`Failed to add song: ${result.error}`);
     }
   } catch (error) {
     console.error('Error handling song request:', error);
+    result = { success: false, error: error.message };
   }
+  
+  return result;
 }
 
+/**
+ * Update the Google Sheets leaderboards for a queued request
+ * @param {string} username - The username of the requester
+ * @param {Object} request - The queued request's trackId, trackName and artistName
+ */
+async function updateLeaderboards(username, request) {
+  if (!sheetsManager.isInitialized()) {
+    console.warn('Google Sheets not initialized, skipping leaderboard updates');
+    return;
+  }
+  
+  try {
+    // Update song leaderboard
+    await sheetsManager.updateSongLeaderboard({
+      trackId: request.trackId,
+      trackName: request.trackName,
+      artistName: request.artistName
+    }, username);
+    
+    // Update user leaderboard
+    await sheetsManager.updateUserLeaderboard(username, new Date().toLocaleString());
+    
+    console.log(`Updated leaderboards for song request by ${username}`);
+  } catch (sheetsError) {
+    console.error('Error updating leaderboards:', sheetsError);
+  }
+}
 
+/**
+ * Update the status of a channel point redemption
+ * Marking a redemption as CANCELED refunds the points to the viewer
+ * @param {Object} redemption - The redemption event from EventSub
+ * @param {string} status - Either 'FULFILLED' or 'CANCELED'
+ * @returns {Promise<boolean>} Whether the update was successful
+ */
+async function updateRedemptionStatus(redemption, status) {
+  // Redemptions of rewards that skip the request queue are already fulfilled and can't be changed
+  if (redemption.status && redemption.status !== 'unfulfilled') {
+    console.log(`Redemption ${redemption.id} has status "${redemption.status}", not marking it as ${status}`);
+    return false;
+  }
+  
+  try {
+    const accessToken = twitchAuth.getAccessToken();
+    
+    if (!accessToken) {
+      throw new Error('No Twitch access token available');
+    }
+    
+    const params = new URLSearchParams({
+      broadcaster_id: redemption.broadcaster_user_id || userId,
+      reward_id: redemption.reward.id,
+      id: redemption.id
+    });
+    
+    await axios.patch(
+      `https://api.twitch.tv/helix/channel_points/custom_rewards/redemptions?${params.toString()}`,
+      { status },
+      {
+        headers: {
+          'Client-ID': TWITCH_CLIENT_ID,
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    
+    console.log(`Marked redemption ${redemption.id} from ${redemption.user_name} as ${status}`);
+    return true;
+  } catch (error) {
+    console.error(`Error marking redemption ${redemption.id} as ${status}:`);
+    if (error.response) {
+      console.error('Response status:', error.response.status);
+      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+      
+      if (error.response.status === 401) {
+        console.error('Make sure you have authenticated with the channel:manage:redemptions scope.');
+      } else if (error.response.status === 403) {
+        console.error('403 Forbidden: Twitch only allows updating redemptions of rewards created by this application.');
+      }
+    } else {
+      console.error(error.message);
+    }
+    return false;
+  }
+}
 
 /**
  * Get a user ID from a username
@@ -347,38 +539,39 @@ async function subscribeToChannelPointRedemptions(callbackUrl, forceRecreate = f
       // Look for an existing subscription for channel point redemptions
       const existingSubscription = existingSubscriptions.find(sub => 
         sub.type === 'channel.channel_points_custom_reward_redemption.add' && 
-        sub.condition.broadcaster_user_id === userId
+        sub.condition.broadcaster_user_id === userId &&
+        sub.transport.callback === callbackUrl
       );
       
-      if (existingSubscription) {
+      if (existingSubscription && ['enabled', 'webhook_callback_verification_pending'].includes(existingSubscription.status)) {
         console.log(`Found existing subscription with ID: ${existingSubscription.id}`);
         console.log('Using existing subscription instead of creating a new one');
         
         // Use the existing subscription ID
+        // Twitch doesn't return the secret, but ours is persisted so it matches the one this subscription was created with
         subscriptionId = existingSubscription.id;
-        
-        // Important: We need to use the same webhook secret that was used when creating this subscription
-        // Unfortunately, Twitch doesn't return the secret in the API response for security reasons
-        // So we'll continue using our current webhook secret and hope it matches
-        // If it doesn't match, we'll need to delete the subscription and create a new one
-        console.log('Note: Using existing webhook secret. If signature verification fails, you may need to delete the subscription.');
+        lastCallbackUrl = callbackUrl;
+        markSubscribed(subscriptionId);
+        await subscribeToOptionalEvents({ method: 'webhook', callback: callbackUrl });
         
         return subscriptionId;
       }
+      
+      if (existingSubscription) {
+        // Failed subscriptions (e.g. notification_failures_exceeded) never recover, replace them
+        console.log(`Existing subscription ${existingSubscription.id} has status "${existingSubscription.status}", recreating it`);
+        await deleteSubscription(existingSubscription.id);
+      }
     }
     
     // No existing subscription found or we're forcing recreation, create a new one
     console.log('Creating a new subscription...');
     
-    // Generate a new webhook secret for the new subscription
-    webhookSecret = crypto.randomBytes(16).toString('hex');
-    console.log('Generated new webhook secret for channel point redemption subscription');
-    
     console.log(`Attempting to subscribe to channel point redemptions for user ID: ${userId}`);
     console.log(`Using callback URL: ${callbackUrl}`);
     
     const response = await axios.post(
-      'https://api.twitch.tv/helix/eventsub/subscriptions',
+      EVENTSUB_API_URL,
       {
         type: 'channel.channel_points_custom_reward_redemption.add',
         version: '1',
@@ -388,7 +581,7 @@ async function subscribeToChannelPointRedemptions(callbackUrl, forceRecreate = f
         transport: {
           method: 'webhook',
           callback: callbackUrl,
-          secret: webhookSecret
+          secret: webhookSecret.getSecret()
         }
       },
       {
@@ -401,10 +594,13 @@ async function subscribeToChannelPointRedemptions(callbackUrl, forceRecreate = f
     );
     
     subscriptionId = response.data.data[0].id;
+    lastCallbackUrl = callbackUrl;
+    markSubscribed(subscriptionId);
     console.log(`Subscribed to channel point redemptions with ID: ${subscriptionId}`);
-    console.log(`Using webhook secret: ${webhookSecret}`);
+    await subscribeToOptionalEvents({ method: 'webhook', callback: callbackUrl }, forceRecreate);
     return subscriptionId;
   } catch (error) {
+    setSubscriptionState({ lastError: error.message });
     console.error('Error subscribing to channel point redemptions:');
     if (error.response) {
       // The request was made and the server responded with a status code
@@ -429,12 +625,347 @@ async function subscribeToChannelPointRedemptions(callbackUrl, forceRecreate = f
   }
 }
 
+/**
+ * Subscribe to channel point redemption events on an EventSub WebSocket session
+ * @param {string} sessionId - The WebSocket session ID from the welcome message
+ * @returns {string} The subscription ID
+ */
+async function subscribeWithWebSocketSession(sessionId) {
+  try {
+    // WebSocket subscriptions must be created with a user access token
+    const accessToken = twitchAuth.getAccessToken();
+    
+    if (!accessToken) {
+      throw new Error('No Twitch access token available');
+    }
+    
+    if (!userId) {
+      userId = await getUserId(TWITCH_CHANNEL);
+      console.log(`Resolved Twitch channel ${TWITCH_CHANNEL} to user ID: ${userId}`);
+    }
+    
+    console.log(`Attempting to subscribe to channel point redemptions for user ID: ${userId}`);
+    console.log(`Using WebSocket session ID: ${sessionId}`);
+    
+    const response = await axios.post(
+      EVENTSUB_API_URL,
+      {
+        type: 'channel.channel_points_custom_reward_redemption.add',
+        version: '1',
+        condition: {
+          broadcaster_user_id: userId
+        },
+        transport: {
+          method: 'websocket',
+          session_id: sessionId
+        }
+      },
+      {
+        headers: {
+          'Client-ID': TWITCH_CLIENT_ID,
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    
+    subscriptionId = response.data.data[0].id;
+    markSubscribed(subscriptionId);
+    console.log(`Subscribed to channel point redemptions with ID: ${subscriptionId}`);
+    await subscribeToOptionalEvents({ method: 'websocket', session_id: sessionId });
+    return subscriptionId;
+  } catch (error) {
+    setSubscriptionState({ lastError: error.message });
+    console.error('Error subscribing to channel point redemptions over WebSocket:');
+    if (error.response) {
+      console.error('Response status:', error.response.status);
+      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to the events that depend on settings: cheers and stream online/offline
+ * @param {Object} transport - The EventSub transport (webhook callback or WebSocket session)
+ * @param {boolean} forceRecreate - Whether to replace existing webhook subscriptions
+ */
+async function subscribeToOptionalEvents(transport, forceRecreate = false) {
+  await subscribeToCheers(transport, forceRecreate);
+  await subscribeToStreamEvents(transport, forceRecreate);
+}
+
+/**
+ * Subscribe to cheers so they can become song requests
+ * Does nothing unless cheer requests are enabled. Failures are logged but don't
+ * affect the channel point subscription
+ * @param {Object} transport - The EventSub transport (webhook callback or WebSocket session)
+ * @param {boolean} forceRecreate - Whether to replace an existing webhook subscription
+ * @returns {Promise<string|null>} The subscription ID, or null if not subscribed
+ */
+async function subscribeToCheers(transport, forceRecreate = false) {
+  if (!cheerRequests.isEnabled()) {
+    return null;
+  }
+  
+  return subscribeToEvent('channel.cheer', 'cheers', transport, forceRecreate, 'Make sure you have authenticated with the bits:read scope.');
+}
+
+/**
+ * Subscribe to the stream going live and offline so each stream gets its own queue session
+ * Does nothing unless QUEUE_RESET_MODE is stream
+ * @param {Object} transport - The EventSub transport (webhook callback or WebSocket session)
+ * @param {boolean} forceRecreate - Whether to replace existing webhook subscriptions
+ */
+async function subscribeToStreamEvents(transport, forceRecreate = false) {
+  if (!queueStore.usesStreamSessions()) {
+    return;
+  }
+  
+  await subscribeToEvent('stream.online', 'stream online events', transport, forceRecreate);
+  await subscribeToEvent('stream.offline', 'stream offline events', transport, forceRecreate);
+}
+
+/**
+ * Subscribe to an EventSub event for the channel
+ * Failures are logged but don't affect the channel point subscription
+ * @param {string} type - The EventSub subscription type
+ * @param {string} description - What the events are, for the logs
+ * @param {Object} transport - The EventSub transport (webhook callback or WebSocket session)
+ * @param {boolean} forceRecreate - Whether to replace an existing webhook subscription
+ * @param {string} forbiddenHint - What to log if Twitch refuses the subscription (optional)
+ * @returns {Promise<string|null>} The subscription ID, or null if not subscribed
+ */
+async function subscribeToEvent(type, description, transport, forceRecreate = false, forbiddenHint = null) {
+  try {
+    const isWebhook = transport.method === 'webhook';
+    // Webhook subscriptions need an app access token, WebSocket subscriptions a user access token
+    const accessToken = isWebhook ? await twitchAuth.getAppAccessToken() : twitchAuth.getAccessToken();
+    
+    if (!accessToken) {
+      throw new Error('No Twitch access token available');
+    }
+    
+    if (isWebhook) {
+      const existingSubscriptions = (await checkSubscriptionStatus()).filter(sub =>
+        sub.type === type && sub.condition.broadcaster_user_id === userId
+      );
+      
+      const existingSubscription = !forceRecreate && existingSubscriptions.find(sub =>
+        sub.transport.callback === transport.callback &&
+        ['enabled', 'webhook_callback_verification_pending'].includes(sub.status)
+      );
+      
+      if (existingSubscription) {
+        console.log(`Using existing ${description} subscription with ID: ${existingSubscription.id}`);
+        return existingSubscription.id;
+      }
+      
+      for (const sub of existingSubscriptions) {
+        await deleteSubscription(sub.id);
+      }
+    }
+    
+    const response = await axios.post(
+      EVENTSUB_API_URL,
+      {
+        type,
+        version: '1',
+        condition: {
+          broadcaster_user_id: userId
+        },
+        transport: isWebhook ? { ...transport, secret: webhookSecret.getSecret() } : transport
+      },
+      {
+        headers: {
+          'Client-ID': TWITCH_CLIENT_ID,
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    
+    const eventSubscriptionId = response.data.data[0].id;
+    console.log(`Subscribed to ${description} with ID: ${eventSubscriptionId}`);
+    return eventSubscriptionId;
+  } catch (error) {
+    console.error(`Error subscribing to ${description}:`);
+    if (error.response) {
+      console.error('Response status:', error.response.status);
+      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+      
+      if (error.response.status === 403 && forbiddenHint) {
+        console.error(forbiddenHint);
+      }
+    } else {
+      console.error(error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Connect to EventSub over a WebSocket and subscribe once the session is ready
+ * Any existing WebSocket session is closed first
+ */
+function startWebSocketTransport() {
+  eventSubWebSocket.stop();
+  eventSubWebSocket.start({
+    onWelcome: subscribeWithWebSocketSession,
+    onNotification: handleEventNotification,
+    onRevocation: handleRevocation
+  });
+}
+
+/**
+ * Update the subscription state shown on the dashboard
+ * @param {Object} changes - The fields to change
+ */
+function setSubscriptionState(changes) {
+  subscriptionState = {
+    ...subscriptionState,
+    ...changes,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Record a successful subscription and cancel any pending re-subscribe
+ * @param {string} id - The subscription ID
+ */
+function markSubscribed(id) {
+  clearTimeout(resubscribeTimeout);
+  resubscribeTimeout = null;
+  setSubscriptionState({
+    status: 'subscribed',
+    subscriptionId: id,
+    reason: null,
+    retryCount: 0,
+    nextRetryAt: null,
+    lastError: null
+  });
+}
+
+/**
+ * Handle Twitch revoking our subscription by re-subscribing with backoff
+ * @param {Object} subscription - The revoked subscription
+ */
+function handleRevocation(subscription) {
+  if (subscription.type === 'channel.cheer') {
+    console.warn(`Cheer subscription revoked (${subscription.status}). Recreate the subscriptions from the dashboard to turn cheer requests back on.`);
+    return;
+  }
+  
+  if (subscription.type === 'stream.online' || subscription.type === 'stream.offline') {
+    console.warn(`${subscription.type} subscription revoked (${subscription.status}). Recreate the subscriptions from the dashboard so the queue follows the stream again.`);
+    return;
+  }
+  
+  if (subscription.type !== 'channel.channel_points_custom_reward_redemption.add') {
+    return;
+  }
+  
+  setSubscriptionState({
+    status: 'revoked',
+    subscriptionId: null,
+    reason: subscription.status,
+    retryCount: 0
+  });
+  
+  if (subscription.status === 'version_removed') {
+    // Re-subscribing to the same version would just fail again
+    setSubscriptionState({ status: 'failed', lastError: 'Twitch no longer supports this subscription version' });
+    return;
+  }
+  
+  if (subscription.status === 'authorization_revoked' || subscription.status === 'user_removed') {
+    console.log('Twitch authorization was revoked. Re-authenticate at /auth/twitch if re-subscribing keeps failing.');
+  }
+  
+  scheduleResubscribe();
+}
+
+/**
+ * Schedule the next re-subscribe attempt with exponential backoff
+ */
+function scheduleResubscribe() {
+  if (subscriptionState.retryCount >= MAX_RESUBSCRIBE_ATTEMPTS) {
+    console.error(`Giving up re-subscribing after ${MAX_RESUBSCRIBE_ATTEMPTS} attempts`);
+    setSubscriptionState({ status: 'failed', nextRetryAt: null });
+    return;
+  }
+  
+  const delay = Math.min(RESUBSCRIBE_BASE_DELAY_MS * Math.pow(2, subscriptionState.retryCount), RESUBSCRIBE_MAX_DELAY_MS);
+  setSubscriptionState({
+    status: 'retrying',
+    nextRetryAt: new Date(Date.now() + delay).toISOString()
+  });
+  
+  console.log(`Re-subscribing to channel point redemptions in ${Math.round(delay / 1000)} seconds...`);
+  clearTimeout(resubscribeTimeout);
+  resubscribeTimeout = setTimeout(resubscribe, delay);
+}
+
+/**
+ * Try to re-create the channel point redemption subscription
+ */
+async function resubscribe() {
+  try {
+    if (EVENTSUB_TRANSPORT === 'websocket') {
+      const sessionId = eventSubWebSocket.getSessionId();
+      
+      if (!sessionId) {
+        // A new session subscribes as soon as it's welcomed
+        startWebSocketTransport();
+        return;
+      }
+      
+      await subscribeWithWebSocketSession(sessionId);
+    } else {
+      if (!lastCallbackUrl) {
+        throw new Error('No webhook callback URL known, recreate the subscriptions from the dashboard');
+      }
+      
+      await subscribeToChannelPointRedemptions(lastCallbackUrl, true);
+    }
+  } catch (error) {
+    console.error('Error re-subscribing to channel point redemptions:', error.message);
+    setSubscriptionState({
+      retryCount: subscriptionState.retryCount + 1,
+      lastError: error.message
+    });
+    scheduleResubscribe();
+  }
+}
+
+/**
+ * Get the EventSub subscription state
+ * @returns {Object} The subscription state
+ */
+function getSubscriptionState() {
+  return subscriptionState;
+}
+
+/**
+ * Get the EventSub transport in use
+ * @returns {string} Either 'webhook' or 'websocket'
+ */
+function getTransport() {
+  return EVENTSUB_TRANSPORT;
+}
+
 /**
  * Set up the EventSub subscription for a deployed application
  * @param {string} baseUrl - The base URL of the deployed application
  * @param {boolean} forceRecreate - Whether to force delete and recreate the subscription
  */
 async function setupEventSubForDeployment(baseUrl, forceRecreate = false) {
+  // The WebSocket transport doesn't need a callback URL, subscriptions are created per session
+  if (EVENTSUB_TRANSPORT === 'websocket') {
+    startWebSocketTransport();
+    return true;
+  }
+  
   if (!baseUrl) {
     throw new Error('Base URL is required for EventSub setup');
   }
@@ -467,16 +998,19 @@ async function handleEventNotification(notification) {
   
   if (eventType === 'channel.channel_points_custom_reward_redemption.add') {
     const redemption = notification.event;
-    const rewardTitle = redemption.reward.title;
     
-    // Check if this is the song request redemption
-    if (rewardTitle === REDEMPTION_NAME) {
-      const username = redemption.user_name;
-      const input = redemption.user_input;
-      
-      console.log(`Song request from ${username}: ${input}`);
-      await handleSongRequest(username, input);
+    // Rewards without a configured action are ignored
+    const actionName = getRewardAction(redemption.reward);
+    if (actionName) {
+      console.log(`${actionName} redemption from ${redemption.user_name}: ${redemption.user_input}`);
+      await handleRewardRedemption(actionName, redemption);
     }
+  } else if (eventType === 'channel.cheer') {
+    await handleCheer(notification.event);
+  } else if (eventType === 'stream.online') {
+    queueStore.startSession();
+  } else if (eventType === 'stream.offline') {
+    queueStore.endSession();
   } else if (eventType === 'channel.follow') {
     // For testing purposes, treat a follow from belbelbot as a song request trigger
     
@@ -505,6 +1039,101 @@ async function handleEventNotification(notification) {
   }
 }
 
+/**
+ * Turn a cheer into a song request if it meets the bits threshold
+ * Bits can't be refunded, so failed requests are only reported in chat
+ * @param {Object} event - The channel.cheer event from EventSub
+ * @returns {Promise<Object|null>} The result of the song request, or null if the cheer isn't a request
+ */
+async function handleCheer(event) {
+  const request = await cheerRequests.getCheerRequest(event);
+  
+  if (!request) {
+    return null;
+  }
+  
+  const username = event.is_anonymous ? 'Anonymous' : event.user_name;
+  console.log(`Cheer request from ${username} (${event.bits} bits${request.priority ? ', priority' : ''}): ${request.query}`);
+  
+  const result = await handleSongRequest(username, request.query, {
+    priority: request.priority,
+    requester: { userId: event.user_id },
+    source: 'cheer'
+  });
+  chatNotifier.notifyRequestResult(username, result)
+    .catch(error => console.error('Error telling the requester in chat:', error));
+  return result;
+}
+
+/**
+ * Get the action configured for a redeemed reward
+ * Falls back to matching the song request reward by title if the bot hasn't created its reward
+ * @param {Object} reward - The reward from the redemption event
+ * @returns {string|null} The action name or null if the reward should be ignored
+ */
+function getRewardAction(reward) {
+  const actionName = rewardManager.getActionForReward(reward.id);
+  
+  if (actionName) {
+    return actionName;
+  }
+  
+  if (!rewardManager.getRewardId() && reward.title === REDEMPTION_NAME) {
+    return 'request';
+  }
+  
+  return null;
+}
+
+/**
+ * Run the action for a reward redemption, then fulfill or refund the redemption
+ * @param {string} actionName - The action configured for the reward
+ * @param {Object} redemption - The redemption event from EventSub
+ * @returns {Promise<Object>} The result of the action
+ */
+async function handleRewardRedemption(actionName, redemption) {
+  const action = rewardActions.getAction(actionName);
+  const username = redemption.user_name;
+  const requester = { userId: redemption.user_id };
+  let result;
+  
+  try {
+    if (!action) {
+      throw new Error(`Unknown reward action: ${actionName}`);
+    }
+    
+    result = await action.handler({
+      username,
+      input: redemption.user_input,
+      redemption,
+      requestSong: (query, options = {}) => handleSongRequest(username, query, {
+        ...options,
+        requester,
+        redemption,
+        source: 'reward'
+      })
+    });
+  } catch (error) {
+    console.error(`Error handling ${actionName} redemption:`, error);
+    result = { success: false, error: error.message };
+  }
+  
+  if (!result.success) {
+    console.error(`${actionName} redemption from ${username} failed: ${result.error}`);
+  }
+  
+  // Fulfill the redemption if the action succeeded, otherwise refund the viewer's points.
+  // Requests waiting for approval are fulfilled or refunded once a moderator reviews them
+  const updated = result.pendingApproval
+    ? false
+    : await updateRedemptionStatus(redemption, result.success ? 'FULFILLED' : 'CANCELED');
+  
+  // Chat messages can be held back by the rate limit, so don't make Twitch wait for them
+  chatNotifier.notifyRequestResult(username, result, { refunded: updated && !result.success })
+    .catch(error => console.error('Error telling the requester in chat:', error));
+  return result;
+}
+
 /**
  * Check the status of EventSub subscriptions with Twitch
  * @returns {Promise<Array>} List of active subscriptions
@@ -518,7 +1147,7 @@ async function checkSubscriptionStatus() {
     }
     
     const response = await axios.get(
-      'https://api.twitch.tv/helix/eventsub/subscriptions',
+      EVENTSUB_API_URL,
       {
         headers: {
           'Client-ID': TWITCH_CLIENT_ID,
@@ -555,7 +1184,7 @@ async function deleteSubscription(subscriptionId) {
     
     console.log(`Attempting to delete subscription with ID: ${subscriptionId}`);
     
-    await axios.delete(`https://api.twitch.tv/helix/eventsub/subscriptions?id=${subscriptionId}`, {
+    await axios.delete(`${EVENTSUB_API_URL}?id=${subscriptionId}`, {
       headers: {
         'Client-ID': TWITCH_CLIENT_ID,
         'Authorization': `Bearer ${accessToken}`
@@ -605,8 +1234,15 @@ async function deleteAllChannelPointSubscriptions() {
 
 module.exports = {
   initialize,
+  initializeBroadcaster,
+  setupSongRequestReward,
   setupEventSubForDeployment,
   subscribeToChannelPointRedemptions,
+  startWebSocketTransport,
+  getTransport,
+  getSubscriptionState,
   checkSubscriptionStatus,
-  handleEventNotification
+  handleEventNotification,
+  updateRedemptionStatus,
+  updateLeaderboards
 };
\ No newline at end of file
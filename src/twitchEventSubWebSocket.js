@@ -0,0 +1,264 @@
+/**
+ * EventSub WebSocket transport
+ *
+ * Receives EventSub notifications over a WebSocket instead of webhooks, so the bot
+ * doesn't need a public HTTPS URL. Handles the session lifecycle:
+ * - session_welcome: subscriptions are created with the new session ID
+ * - session_keepalive: resets the keepalive timer
+ * - session_reconnect: moves to the new URL without losing subscriptions
+ * - revocation: passes the revoked subscription on to the caller
+ */
+const WebSocket = require('ws');
+const { createMessageIdCache } = require('./messageIdCache');
+
+// Configuration
+const EVENTSUB_WS_URL = process.env.TWITCH_EVENTSUB_WS_URL || 'wss://eventsub.wss.twitch.tv/ws';
+
+// Extra time to wait after the keepalive timeout before treating the connection as dead
+const KEEPALIVE_GRACE_MS = 5000;
+
+// Reconnect backoff after the connection drops unexpectedly
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 60 * 1000;
+
+let socket = null;
+let reconnectingSocket = null;
+let sessionId = null;
+let handlers = null;
+let keepaliveTimeout = null;
+let keepaliveMs = null;
+let reconnectTimeout = null;
+let reconnectAttempts = 0;
+let stopped = true;
+
+// Message IDs we've already handled, Twitch may deliver the same message more than once
+const seenMessageIds = createMessageIdCache();
+
+/**
+ * Start the EventSub WebSocket client
+ * @param {Object} options - Callbacks for the session
+ * @param {Function} options.onWelcome - Called with the session ID when a new session starts, should create subscriptions
+ * @param {Function} options.onNotification - Called with { subscription, event } for each notification
+ * @param {Function} options.onRevocation - Called with the revoked subscription (optional)
+ * @param {string} options.url - The WebSocket URL to connect to (optional, for testing)
+ */
+function start(options) {
+  handlers = options;
+  stopped = false;
+  reconnectAttempts = 0;
+  connect(options.url || EVENTSUB_WS_URL);
+}
+
+/**
+ * Stop the EventSub WebSocket client
+ */
+function stop() {
+  stopped = true;
+  clearTimeout(keepaliveTimeout);
+  clearTimeout(reconnectTimeout);
+
+  if (socket) {
+    closeQuietly(socket);
+    socket = null;
+  }
+  if (reconnectingSocket) {
+    closeQuietly(reconnectingSocket);
+    reconnectingSocket = null;
+  }
+
+  sessionId = null;
+}
+
+/**
+ * Open a connection to the EventSub WebSocket server
+ * @param {string} url - The WebSocket URL
+ * @param {boolean} isReconnect - Whether this connection replaces the current session (session_reconnect)
+ */
+function connect(url, isReconnect = false) {
+  console.log(`Connecting to EventSub WebSocket: ${url}`);
+
+  const newSocket = new WebSocket(url);
+
+  if (isReconnect) {
+    reconnectingSocket = newSocket;
+  } else {
+    socket = newSocket;
+  }
+
+  newSocket.on('message', (data) => {
+    // Ignore messages from a socket that has been replaced
+    if (newSocket !== socket && newSocket !== reconnectingSocket) {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      console.error('Error parsing EventSub WebSocket message:', error);
+      return;
+    }
+
+    handleMessage(newSocket, message);
+  });
+
+  newSocket.on('close', (code, reason) => {
+    if (newSocket === reconnectingSocket) {
+      console.error(`EventSub WebSocket reconnect failed (code ${code})`);
+      reconnectingSocket = null;
+      return;
+    }
+    if (newSocket !== socket) {
+      return;
+    }
+
+    console.log(`EventSub WebSocket closed (code ${code}${reason && reason.length ? `: ${reason}` : ''})`);
+    clearTimeout(keepaliveTimeout);
+    socket = null;
+    sessionId = null;
+
+    if (reconnectingSocket) {
+      // The server closed the old connection before welcoming the new one, keep waiting for it
+      socket = reconnectingSocket;
+      reconnectingSocket = null;
+    } else if (!stopped) {
+      scheduleReconnect();
+    }
+  });
+
+  newSocket.on('error', (error) => {
+    console.error('EventSub WebSocket error:', error.message);
+  });
+}
+
+/**
+ * Close a socket without triggering any of our handlers
+ * @param {WebSocket} oldSocket - The socket to close
+ */
+function closeQuietly(oldSocket) {
+  oldSocket.removeAllListeners();
+  oldSocket.on('error', () => {});
+  oldSocket.close();
+}
+
+/**
+ * Handle a message from the EventSub WebSocket server
+ * @param {WebSocket} fromSocket - The socket the message arrived on
+ * @param {Object} message - The parsed message
+ */
+function handleMessage(fromSocket, message) {
+  const messageType = message.metadata && message.metadata.message_type;
+
+  // Any message counts as a sign of life
+  resetKeepaliveTimer();
+
+  if (message.metadata && message.metadata.message_id) {
+    if (seenMessageIds.has(message.metadata.message_id)) {
+      console.log(`Ignoring duplicate EventSub message: ${message.metadata.message_id}`);
+      return;
+    }
+    seenMessageIds.add(message.metadata.message_id);
+  }
+
+  switch (messageType) {
+    case 'session_welcome': {
+      const session = message.payload.session;
+      keepaliveMs = session.keepalive_timeout_seconds * 1000;
+
+      if (fromSocket === reconnectingSocket) {
+        // Reconnect complete, subscriptions carry over to the new session
+        console.log(`EventSub WebSocket reconnected with session ID: ${session.id}`);
+        if (socket) {
+          closeQuietly(socket);
+        }
+        socket = reconnectingSocket;
+        reconnectingSocket = null;
+        sessionId = session.id;
+        resetKeepaliveTimer();
+        return;
+      }
+
+      console.log(`EventSub WebSocket session started with ID: ${session.id}`);
+      sessionId = session.id;
+      reconnectAttempts = 0;
+      resetKeepaliveTimer();
+
+      Promise.resolve(handlers.onWelcome(sessionId)).catch(error => {
+        console.error('Error creating EventSub subscriptions for WebSocket session:', error);
+      });
+      break;
+    }
+    case 'session_keepalive':
+      break;
+    case 'notification':
+      Promise.resolve(handlers.onNotification({
+        subscription: message.payload.subscription,
+        event: message.payload.event
+      })).catch(error => {
+        console.error('Error handling EventSub WebSocket notification:', error);
+      });
+      break;
+    case 'session_reconnect':
+      console.log('EventSub WebSocket server requested a reconnect');
+      connect(message.payload.session.reconnect_url, true);
+      break;
+    case 'revocation':
+      console.log('Subscription revoked:', message.payload.subscription.type);
+      console.log('Reason:', message.payload.subscription.status);
+      if (handlers.onRevocation) {
+        Promise.resolve(handlers.onRevocation(message.payload.subscription)).catch(error => {
+          console.error('Error handling EventSub WebSocket revocation:', error);
+        });
+      }
+      break;
+    default:
+      console.log('Unhandled EventSub WebSocket message type:', messageType);
+  }
+}
+
+/**
+ * Restart the keepalive timer, reconnecting if the server goes quiet for too long
+ */
+function resetKeepaliveTimer() {
+  clearTimeout(keepaliveTimeout);
+
+  if (!keepaliveMs || stopped) {
+    return;
+  }
+
+  keepaliveTimeout = setTimeout(() => {
+    console.warn('No EventSub WebSocket messages received before the keepalive timeout, reconnecting...');
+    if (socket) {
+      // Closing triggers the reconnect in the close handler
+      socket.terminate();
+    }
+  }, keepaliveMs + KEEPALIVE_GRACE_MS);
+}
+
+/**
+ * Reconnect with exponential backoff after the connection drops
+ */
+function scheduleReconnect() {
+  const delay = Math.min(RECONNECT_BASE_DELAY_MS * Math.pow(2, reconnectAttempts), RECONNECT_MAX_DELAY_MS);
+  reconnectAttempts++;
+
+  console.log(`Reconnecting to EventSub WebSocket in ${delay / 1000} seconds...`);
+  clearTimeout(reconnectTimeout);
+  reconnectTimeout = setTimeout(() => {
+    connect((handlers && handlers.url) || EVENTSUB_WS_URL);
+  }, delay);
+}
+
+/**
+ * Get the current session ID
+ * @returns {string|null} The session ID or null if not connected
+ */
+function getSessionId() {
+  return sessionId;
+}
+
+module.exports = {
+  start,
+  stop,
+  getSessionId
+};
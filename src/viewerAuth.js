@@ -0,0 +1,245 @@
+/**
+ * Viewer Auth Module
+ *
+ * Lets viewers log in with Twitch on the "my requests" page so they can manage their own requests,
+ * and moderators on the approvals page:
+ * - Uses the authorization code flow with no scopes, only to learn who the viewer is
+ * - Keeps sessions in memory, identified by an HttpOnly cookie, so viewers log in again after a restart
+ * - Checks moderator pages against the viewer's roles in the broadcaster's channel
+ */
+const axios = require('axios');
+const crypto = require('crypto');
+const requestPolicy = require('./requestPolicy');
+
+// Configuration
+const TWITCH_CLIENT_ID = process.env.TWITCH_CLIENT_ID;
+const TWITCH_CLIENT_SECRET = process.env.TWITCH_CLIENT_SECRET;
+const VIEWER_REDIRECT_URI = process.env.TWITCH_VIEWER_REDIRECT_URI || 'http://localhost:8888/viewer/callback';
+
+const SESSION_COOKIE = 'viewer_session';
+
+// Where viewers go after logging in if the login didn't come from another page
+const DEFAULT_RETURN_TO = '/my-requests';
+
+// How long a login lasts (12 hours)
+const SESSION_MS = 12 * 60 * 60 * 1000;
+
+// How long a viewer has to finish logging in on Twitch (10 minutes)
+const LOGIN_STATE_MS = 10 * 60 * 1000;
+
+// OAuth state -> { expiresAt, returnTo }, to check callbacks come from a login we started
+const loginStates = new Map();
+// Session ID -> { userId, login, displayName, expiresAt }
+const sessions = new Map();
+
+/**
+ * Get the Twitch authorization URL for a viewer login
+ * @param {string} returnTo - The page to go back to after logging in (defaults to /my-requests)
+ * @returns {string} The authorization URL
+ */
+function getAuthorizationUrl(returnTo) {
+  removeExpired();
+
+  const state = crypto.randomBytes(16).toString('hex');
+  loginStates.set(state, {
+    expiresAt: Date.now() + LOGIN_STATE_MS,
+    // Only pages on this site, so the login can't be used to redirect somewhere else
+    returnTo: /^\/[a-z0-9-]*$/i.test(returnTo || '') ? returnTo : DEFAULT_RETURN_TO
+  });
+
+  const params = new URLSearchParams({
+    client_id: TWITCH_CLIENT_ID,
+    redirect_uri: VIEWER_REDIRECT_URI,
+    response_type: 'code',
+    scope: '',
+    state
+  });
+
+  return `https://id.twitch.tv/oauth2/authorize?${params.toString()}`;
+}
+
+/**
+ * Handle the Twitch callback after a viewer logs in
+ * @param {string} code - The authorization code from Twitch
+ * @param {string} state - The state passed to Twitch with the login
+ * @returns {Promise<Object>} { success, sessionId, viewer, returnTo } or { success: false, error, returnTo }
+ */
+async function handleCallback(code, state) {
+  const login = loginStates.get(state);
+  loginStates.delete(state);
+
+  if (!login || login.expiresAt < Date.now()) {
+    return { success: false, error: 'The login expired, please try again', returnTo: DEFAULT_RETURN_TO };
+  }
+
+  try {
+    const params = new URLSearchParams({
+      client_id: TWITCH_CLIENT_ID,
+      client_secret: TWITCH_CLIENT_SECRET,
+      code,
+      grant_type: 'authorization_code',
+      redirect_uri: VIEWER_REDIRECT_URI
+    });
+
+    const tokenResponse = await axios.post(
+      'https://id.twitch.tv/oauth2/token',
+      params.toString(),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }
+    );
+
+    // Without a login parameter, Get Users returns the user the token belongs to
+    const userResponse = await axios.get('https://api.twitch.tv/helix/users', {
+      headers: {
+        'Client-ID': TWITCH_CLIENT_ID,
+        'Authorization': `Bearer ${tokenResponse.data.access_token}`
+      }
+    });
+
+    const user = userResponse.data.data[0];
+    const viewer = {
+      userId: user.id,
+      login: user.login,
+      displayName: user.display_name || user.login
+    };
+
+    const sessionId = crypto.randomBytes(24).toString('hex');
+    sessions.set(sessionId, { ...viewer, expiresAt: Date.now() + SESSION_MS });
+    console.log(`Viewer ${viewer.displayName} logged in`);
+
+    return { success: true, sessionId, viewer, returnTo: login.returnTo };
+  } catch (error) {
+    console.error('Error handling viewer login:', error.response ? error.response.data : error.message);
+    return { success: false, error: 'Twitch login failed', returnTo: login.returnTo };
+  }
+}
+
+/**
+ * Get the logged in viewer for a request
+ * @param {Object} req - The Express request
+ * @returns {Object|null} { userId, login, displayName } or null if not logged in
+ */
+function getViewer(req) {
+  const sessionId = getSessionId(req);
+  const session = sessionId ? sessions.get(sessionId) : null;
+
+  if (!session) {
+    return null;
+  }
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(sessionId);
+    return null;
+  }
+
+  return {
+    userId: session.userId,
+    login: session.login,
+    displayName: session.displayName
+  };
+}
+
+/**
+ * Get the logged in viewer if they're a moderator or the broadcaster, replying with an error if not
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {string} returnTo - The page to go back to after logging in (defaults to /approvals)
+ * @returns {Promise<Object|null>} The moderator, or null if a reply was already sent
+ */
+async function getModerator(req, res, returnTo = '/approvals') {
+  const viewer = getViewer(req);
+  if (!viewer) {
+    res.status(401).json({
+      success: false,
+      error: 'Log in with Twitch as a moderator or the broadcaster',
+      loginUrl: `/viewer/login?returnTo=${returnTo}`
+    });
+    return null;
+  }
+
+  const roles = await requestPolicy.resolveRoles({ userId: viewer.userId });
+  if (!roles.broadcaster && !roles.moderator) {
+    res.status(403).json({
+      success: false,
+      error: `${viewer.displayName} isn't a moderator of this channel`
+    });
+    return null;
+  }
+
+  return viewer;
+}
+
+/**
+ * Set the session cookie after a login
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {string} sessionId - The new session's ID
+ */
+function setSessionCookie(req, res, sessionId) {
+  res.cookie(SESSION_COOKIE, sessionId, {
+    httpOnly: true,
+    sameSite: 'lax',
+    // Behind Railway's proxy the app itself is reached over plain HTTP
+    secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+    maxAge: SESSION_MS
+  });
+}
+
+/**
+ * Log the viewer out
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ */
+function logout(req, res) {
+  const sessionId = getSessionId(req);
+  if (sessionId) {
+    sessions.delete(sessionId);
+  }
+  res.clearCookie(SESSION_COOKIE);
+}
+
+/**
+ * Read the session ID from the request's cookies
+ * @param {Object} req - The Express request
+ * @returns {string|null} The session ID
+ */
+function getSessionId(req) {
+  const cookies = (req.headers.cookie || '').split(';');
+
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Forget expired logins and login attempts
+ */
+function removeExpired() {
+  const now = Date.now();
+  loginStates.forEach((login, state) => {
+    if (login.expiresAt < now) {
+      loginStates.delete(state);
+    }
+  });
+  sessions.forEach((session, sessionId) => {
+    if (session.expiresAt < now) {
+      sessions.delete(sessionId);
+    }
+  });
+}
+
+module.exports = {
+  getAuthorizationUrl,
+  handleCallback,
+  getViewer,
+  getModerator,
+  setSessionCookie,
+  logout
+};
@@ -0,0 +1,140 @@
+/**
+ * Viewer Requests Module
+ *
+ * Lets viewers fix their own requests shortly after making them, from chat (!wrongsong),
+ * a channel point reward or the viewer page:
+ * - Only the viewer's most recent pending request can be changed
+ * - Only within REQUEST_GRACE_SECONDS of requesting it
+ * - When the app holds the queue, only before it's been sent to Spotify, so a removed or
+ *   replaced song never reaches Spotify at all
+ */
+const queueStore = require('./queueStore');
+
+// How long after requesting a song a viewer can remove or replace it (5 minutes)
+const GRACE_MS = (parseInt(process.env.REQUEST_GRACE_SECONDS, 10) || 300) * 1000;
+
+/**
+ * Get how long viewers have to change a request
+ * @returns {number} The grace window in seconds
+ */
+function getGraceSeconds() {
+  return GRACE_MS / 1000;
+}
+
+/**
+ * Get a viewer's pending requests, with whether each can still be changed
+ * @param {string} username - The viewer's display name
+ * @returns {Array<Object>} Copies of the requests with position and editableUntil (null if not editable)
+ */
+function getRequests(username) {
+  const latestIndex = queueStore.findLatestRequest(username);
+  const latest = latestIndex === -1 ? null : queueStore.getQueue()[latestIndex];
+  const editable = latest && !getEditError(latest) ? latest : null;
+
+  return queueStore.getQueue()
+    .filter(request => !request.vetoed)
+    .map((request, index) => ({ ...request, position: index + 1 }))
+    .filter(request => String(request.requestedBy).toLowerCase() === String(username).toLowerCase())
+    .map(request => ({
+      ...request,
+      editableUntil: editable && request.id === editable.id
+        ? new Date(Date.parse(request.requestedAt) + GRACE_MS).toISOString()
+        : null
+    }));
+}
+
+/**
+ * Find the request a viewer can change
+ * @param {string} username - The viewer's display name
+ * @param {string} id - The request the viewer means to change, to catch a newer request in between (optional)
+ * @returns {Object} { request, index } or { error }
+ */
+function getEditableRequest(username, id) {
+  const index = queueStore.findLatestRequest(username);
+  if (index === -1) {
+    return { error: 'You don\'t have any songs in the queue' };
+  }
+
+  const request = queueStore.getQueue()[index];
+  if (id && request.id !== id) {
+    return { error: 'Only your most recent request can be changed' };
+  }
+
+  const error = getEditError(request);
+  return error ? { error } : { request, index };
+}
+
+/**
+ * Check whether a request can still be changed by its requester
+ * @param {Object} request - The request
+ * @returns {string|null} Why it can't be changed, or null if it can
+ */
+function getEditError(request) {
+  if (queueStore.isAppHeld() && request.handedOff) {
+    return `"${request.trackName}" has already been sent to Spotify and can't be changed`;
+  }
+
+  if (Date.now() - Date.parse(request.requestedAt) > GRACE_MS) {
+    return `Requests can only be changed within ${formatGraceWindow()} of making them`;
+  }
+
+  return null;
+}
+
+/**
+ * Remove a viewer's most recent request
+ * @param {string} username - The viewer's display name
+ * @param {string} id - The request the viewer means to remove (optional)
+ * @returns {Object} { success, trackName, artistName } or { success: false, error }
+ */
+function removeRequest(username, id) {
+  const editable = getEditableRequest(username, id);
+  if (editable.error) {
+    return { success: false, error: editable.error };
+  }
+
+  const request = queueStore.vetoRequest(editable.index, username);
+  return {
+    success: true,
+    trackName: request.trackName,
+    artistName: request.artistName
+  };
+}
+
+/**
+ * Replace a viewer's most recent request with another song
+ * The new song goes through the usual request checks, and the old one stays if it's rejected
+ * @param {string} username - The viewer's display name
+ * @param {string} query - The new song name, Spotify link or Spotify URI
+ * @param {Function} requestSong - Requests a song, called with (query, options) like addSongToQueue
+ * @param {string} id - The request the viewer means to replace (optional)
+ * @returns {Promise<Object>} The result of the new request
+ */
+async function replaceRequest(username, query, requestSong, id) {
+  const editable = getEditableRequest(username, id);
+  if (editable.error) {
+    return { success: false, error: editable.error };
+  }
+
+  return requestSong(query, { replaces: editable.request.id });
+}
+
+/**
+ * Describe the grace window for messages
+ * @returns {string} e.g. "5 minutes" or "90 seconds"
+ */
+function formatGraceWindow() {
+  const seconds = GRACE_MS / 1000;
+  if (seconds % 60 === 0) {
+    const minutes = seconds / 60;
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  return `${seconds} seconds`;
+}
+
+module.exports = {
+  getGraceSeconds,
+  getRequests,
+  removeRequest,
+  replaceRequest
+};
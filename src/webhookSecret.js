@@ -0,0 +1,125 @@
+/**
+ * Webhook Secret Module
+ *
+ * Keeps the EventSub webhook secret stable across restarts so existing
+ * subscriptions keep passing signature verification:
+ * - Uses TWITCH_WEBHOOK_SECRET if it's set
+ * - Otherwise loads the secret from file, generating and saving one on first boot
+ * - Supports rotation, accepting the previous secret for a short grace period
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const CONFIGURED_SECRET = process.env.TWITCH_WEBHOOK_SECRET || null;
+const SECRET_PATH = process.env.WEBHOOK_SECRET_PATH || path.join(__dirname, '..', 'webhook-secret.txt');
+
+// How long messages signed with the previous secret are accepted after a rotation (10 minutes)
+const ROTATION_GRACE_MS = 10 * 60 * 1000;
+
+let secret = null;
+let previousSecret = null;
+let previousSecretExpiresAt = null;
+
+/**
+ * Get the current webhook secret, loading or generating it if needed
+ * @returns {string} The webhook secret
+ */
+function getSecret() {
+  if (!secret) {
+    secret = loadSecret();
+  }
+  return secret;
+}
+
+/**
+ * Get every secret a valid message may be signed with
+ * @returns {Array<string>} The current secret and, during a rotation, the previous one
+ */
+function getAcceptedSecrets() {
+  const secrets = [getSecret()];
+
+  if (previousSecret && Date.now() < previousSecretExpiresAt) {
+    secrets.push(previousSecret);
+  }
+
+  return secrets;
+}
+
+/**
+ * Load the webhook secret from the environment or file
+ * @returns {string} The webhook secret
+ */
+function loadSecret() {
+  if (CONFIGURED_SECRET) {
+    if (CONFIGURED_SECRET.length < 10 || CONFIGURED_SECRET.length > 100) {
+      throw new Error('TWITCH_WEBHOOK_SECRET must be between 10 and 100 characters');
+    }
+    console.log('Using webhook secret from TWITCH_WEBHOOK_SECRET');
+    return CONFIGURED_SECRET;
+  }
+
+  try {
+    if (fs.existsSync(SECRET_PATH)) {
+      const storedSecret = fs.readFileSync(SECRET_PATH, 'utf8').trim();
+      if (storedSecret) {
+        console.log('Loaded webhook secret from file');
+        return storedSecret;
+      }
+    }
+  } catch (error) {
+    console.error('Error reading webhook secret file:', error);
+  }
+
+  const newSecret = generateSecret();
+  saveSecret(newSecret);
+  console.log('Generated new webhook secret');
+  return newSecret;
+}
+
+/**
+ * Generate a new random webhook secret
+ * @returns {string} The new secret
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Save the webhook secret to file
+ * @param {string} newSecret - The secret to save
+ */
+function saveSecret(newSecret) {
+  try {
+    fs.writeFileSync(SECRET_PATH, newSecret, { mode: 0o600 });
+  } catch (error) {
+    // May not work on ephemeral filesystems, set TWITCH_WEBHOOK_SECRET there instead
+    console.log('Could not store webhook secret to file, it will change on restart:', error.message);
+  }
+}
+
+/**
+ * Replace the webhook secret with a new one
+ * Subscriptions need to be recreated afterwards so Twitch signs with the new secret
+ * @returns {string} The new secret
+ */
+function rotateSecret() {
+  if (CONFIGURED_SECRET) {
+    throw new Error('The webhook secret is set by TWITCH_WEBHOOK_SECRET, change the environment variable to rotate it');
+  }
+
+  previousSecret = getSecret();
+  previousSecretExpiresAt = Date.now() + ROTATION_GRACE_MS;
+
+  secret = generateSecret();
+  saveSecret(secret);
+  console.log('Rotated webhook secret');
+  return secret;
+}
+
+module.exports = {
+  getSecret,
+  getAcceptedSecrets,
+  rotateSecret
+};
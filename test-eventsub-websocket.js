@@ -0,0 +1,121 @@
+/**
+ * Test script for the EventSub WebSocket transport using a local mock server
+ * Run this with: node test-eventsub-websocket.js
+ *
+ * The mock server speaks the EventSub WebSocket protocol and walks the client through
+ * a welcome, keepalive, notification (sent twice), reconnect and revocation.
+ */
+const assert = require('assert');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const eventSubWebSocket = require('./src/twitchEventSubWebSocket');
+
+const PORT = 8765;
+
+// Build an EventSub WebSocket message
+const createMessage = (messageType, payload, messageId = crypto.randomUUID()) => {
+  return JSON.stringify({
+    metadata: {
+      message_id: messageId,
+      message_type: messageType,
+      message_timestamp: new Date().toISOString()
+    },
+    payload
+  });
+};
+
+const subscription = {
+  id: 'f1c2a387-161a-49f9-a165-0f21d7a4e1c4',
+  type: 'channel.channel_points_custom_reward_redemption.add',
+  version: '1',
+  status: 'enabled',
+  condition: { broadcaster_user_id: '12345678' }
+};
+
+const event = {
+  id: 'b1341343-b84d-4d42-b8b9-33f4080e4ecc',
+  broadcaster_user_id: '12345678',
+  user_name: 'TestUser',
+  user_input: 'https://open.spotify.com/track/4cOdK2wGLETKBW3PvgPWqT',
+  status: 'unfulfilled',
+  reward: { id: '9001', title: 'Song Request' }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTest() {
+  const server = new WebSocket.Server({ port: PORT });
+  const connections = [];
+
+  server.on('connection', (socket, req) => {
+    connections.push(req.url);
+    const sessionId = `session-${connections.length}`;
+    socket.send(createMessage('session_welcome', {
+      session: { id: sessionId, status: 'connected', keepalive_timeout_seconds: 10, reconnect_url: null }
+    }));
+  });
+
+  const welcomes = [];
+  const notifications = [];
+  const revocations = [];
+
+  eventSubWebSocket.start({
+    url: `ws://localhost:${PORT}/ws`,
+    onWelcome: (sessionId) => welcomes.push(sessionId),
+    onNotification: (notification) => notifications.push(notification),
+    onRevocation: (revoked) => revocations.push(revoked)
+  });
+
+  await wait(300);
+  assert.deepStrictEqual(welcomes, ['session-1'], 'onWelcome should be called with the session ID');
+  assert.strictEqual(eventSubWebSocket.getSessionId(), 'session-1');
+  console.log('✅ session_welcome creates subscriptions with the session ID');
+
+  const [firstSocket] = server.clients;
+  firstSocket.send(createMessage('session_keepalive', {}));
+
+  // Send the same notification twice, it should only be handled once
+  const notification = createMessage('notification', { subscription, event }, 'duplicate-message-id');
+  firstSocket.send(notification);
+  firstSocket.send(notification);
+
+  await wait(300);
+  assert.strictEqual(notifications.length, 1, 'duplicate notifications should be ignored');
+  assert.strictEqual(notifications[0].event.user_input, event.user_input);
+  assert.strictEqual(notifications[0].subscription.type, subscription.type);
+  console.log('✅ notifications are delivered once');
+
+  firstSocket.send(createMessage('session_reconnect', {
+    session: { id: 'session-1', status: 'reconnecting', reconnect_url: `ws://localhost:${PORT}/reconnect` }
+  }));
+
+  await wait(500);
+  assert.deepStrictEqual(connections, ['/ws', '/reconnect'], 'the client should connect to the reconnect URL');
+  assert.deepStrictEqual(welcomes, ['session-1'], 'a reconnect should not create new subscriptions');
+  assert.strictEqual(eventSubWebSocket.getSessionId(), 'session-2');
+  assert.strictEqual(firstSocket.readyState, WebSocket.CLOSED, 'the old connection should be closed');
+  console.log('✅ session_reconnect moves to the new URL and keeps subscriptions');
+
+  const secondSocket = [...server.clients].find(client => client.readyState === WebSocket.OPEN);
+  secondSocket.send(createMessage('revocation', {
+    subscription: { ...subscription, status: 'authorization_revoked' }
+  }));
+
+  await wait(300);
+  assert.strictEqual(revocations.length, 1);
+  assert.strictEqual(revocations[0].status, 'authorization_revoked');
+  console.log('✅ revocations are passed on');
+
+  eventSubWebSocket.stop();
+  server.close();
+}
+
+runTest()
+  .then(() => {
+    console.log('\nTest completed!');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -9,7 +9,8 @@ require('dotenv').config();
 // Configuration
 const WEBHOOK_URL = 'http://localhost:8888/webhook/twitch';
 const TEST_ENDPOINT = 'http://localhost:8888/webhook/twitch/test-event';
-const WEBHOOK_SECRET = process.env.TWITCH_WEBHOOK_SECRET || '14319243f95e1c594a66df36817d5572'; // Use the secret from your .env file or the one returned from recreate-subscriptions
+// Use the secret from your .env file or the one the bot stored in webhook-secret.txt
+const WEBHOOK_SECRET = process.env.TWITCH_WEBHOOK_SECRET || require('fs').readFileSync('webhook-secret.txt', 'utf8').trim();
 
 // Create a sample channel point redemption event
 const createSampleEvent = (songUrl = 'https://open.spotify.com/track/4cOdK2wGLETKBW3PvgPWqT') => {
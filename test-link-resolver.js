@@ -0,0 +1,87 @@
+/**
+ * Test script for the link resolver using recorded responses
+ * Run this with: node test-link-resolver.js
+ *
+ * Each platform's responses are served from test-fixtures/link-resolver.json instead
+ * of the network, so the resolvers can be checked without internet access.
+ * To record a new fixture, fetch the URL the resolver requests and add its final URL and body.
+ */
+const assert = require('assert');
+const linkResolver = require('./src/linkResolver');
+const fixtures = require('./test-fixtures/link-resolver.json');
+
+const requestedUrls = [];
+
+// Serve recorded responses, and fail like a network error for anything not recorded
+linkResolver.setHttpGet(async (url) => {
+  requestedUrls.push(url);
+
+  if (!fixtures[url]) {
+    const error = new Error(`No fixture recorded for ${url}`);
+    error.code = 'ENOTFOUND';
+    throw error;
+  }
+  return fixtures[url];
+});
+
+/**
+ * Check that a request resolves to the expected result
+ * @param {string} query - The song request
+ * @param {Object|null} expected - The expected result
+ */
+async function expectResolved(query, expected) {
+  assert.deepStrictEqual(await linkResolver.resolve(query), expected, query);
+}
+
+/**
+ * Check that a request is rejected with a viewer-facing message
+ * @param {string} query - The song request
+ * @param {RegExp} message - The expected message
+ */
+async function expectRejected(query, message) {
+  await assert.rejects(linkResolver.resolve(query), message, query);
+}
+
+async function runTest() {
+  await expectResolved('bohemian rhapsody by queen', null);
+  assert.strictEqual(requestedUrls.length, 0, 'plain song names shouldn\'t be fetched');
+  console.log('✅ song names are left for search');
+
+  await expectResolved('spotify:track:4u7EnebtmKWzUH433cf5Qv', { source: 'Spotify', trackId: '4u7EnebtmKWzUH433cf5Qv' });
+  await expectResolved('play this https://open.spotify.com/intl-de/track/4u7EnebtmKWzUH433cf5Qv?si=abc please', { source: 'Spotify', trackId: '4u7EnebtmKWzUH433cf5Qv' });
+  await expectResolved('https://open.spotify.com/album/1GbtB4zTqAsyfZEsm1RZfx?si=abc', { source: 'Spotify', spotifyType: 'album', spotifyId: '1GbtB4zTqAsyfZEsm1RZfx' });
+  await expectResolved('spotify:episode:512ojhOuo1ktJprKbVcKyQ', { source: 'Spotify', spotifyType: 'episode', spotifyId: '512ojhOuo1ktJprKbVcKyQ' });
+  console.log('✅ Spotify links and URIs give the track ID, or the album, playlist, artist, episode or show');
+
+  await expectResolved('https://spotify.link/Xb3cQ7pLk9b', { source: 'Spotify', trackId: '4u7EnebtmKWzUH433cf5Qv' });
+  await expectResolved('https://spotify.app.link/AbCdEfGhIjK', { source: 'Spotify', trackId: '7tFiyTwD0nx5a1eklYtX2J' });
+  console.log('✅ spotify.link short links are followed, through redirects or the landing page');
+
+  await expectResolved('https://www.youtube.com/watch?v=fJ9rUzIMcZQ&t=42s', { source: 'YouTube', title: 'Bohemian Rhapsody', artist: 'Queen' });
+  await expectResolved('https://youtu.be/dQw4w9WgXcQ?si=xyz', { source: 'YouTube', title: 'Never Gonna Give You Up', artist: 'Rick Astley' });
+  console.log('✅ YouTube links use the oEmbed title and channel');
+
+  await expectResolved('https://music.apple.com/us/album/bohemian-rhapsody/1440650428?i=1440650719', { source: 'Apple Music', title: 'Bohemian Rhapsody', artist: 'Queen' });
+  await expectResolved('https://music.apple.com/gb/song/never-gonna-give-you-up/1558533900', { source: 'Apple Music', title: 'Never Gonna Give You Up', artist: 'Rick Astley' });
+  await expectRejected('https://music.apple.com/us/album/a-night-at-the-opera-2011-remaster/1440650428', /isn't a song/);
+  console.log('✅ Apple Music links use the iTunes lookup, falling back to the page title');
+
+  await expectResolved('https://www.deezer.com/track/3135556', { source: 'Deezer', title: 'Harder, Better, Faster, Stronger', artist: 'Daft Punk', isrc: 'GBDUW0000059' });
+  await expectResolved('https://deezer.page.link/q1w2e3r4t5y6u7i8', { source: 'Deezer', title: 'Harder, Better, Faster, Stronger', artist: 'Daft Punk', isrc: 'GBDUW0000059' });
+  await expectRejected('https://www.deezer.com/track/999999999999', /Couldn't find that Deezer song/);
+  console.log('✅ Deezer links use the Deezer API, including the ISRC');
+
+  await expectRejected('https://soundcloud.com/someone/some-song', /isn't supported/);
+  await expectRejected('https://youtu.be/aaaaaaaaaaa', /Couldn't read that YouTube link/);
+  console.log('✅ unsupported and unreadable links are rejected with a reason');
+}
+
+runTest()
+  .then(() => {
+    console.log('\nTest completed!');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,232 @@
+/**
+ * Test script for keeping the request queue in step with Spotify's playback
+ * Run this with: node test-queue-reconciliation.js
+ *
+ * Each scenario fills the queue, then plays a scripted sequence of "currently playing" and
+ * "recently played" responses through queueStore like the playback watcher does.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+delete process.env.QUEUE_MODE;
+// Start from an empty saved queue
+process.env.QUEUE_DATA_PATH = path.join(os.tmpdir(), 'test-queue-reconciliation.json');
+fs.rmSync(process.env.QUEUE_DATA_PATH, { force: true });
+let queueStore = require('./src/queueStore');
+
+// Spotify's played_at times in the scenarios, always after the requests were made
+let clock = Date.now() + 60 * 1000;
+
+/**
+ * Build a track object like Spotify's
+ * @param {string} id - The track ID
+ * @returns {Object} The track
+ */
+function track(id) {
+  return { id, name: `Song ${id}`, artists: [{ id: `artist-${id}`, name: `Artist ${id}` }] };
+}
+
+/**
+ * Build a currently playing response
+ * @param {string} id - The playing track's ID
+ * @returns {Object} The playback state
+ */
+function playing(id) {
+  return { is_playing: true, progress_ms: 1000, item: track(id) };
+}
+
+/**
+ * Build a recently played list, each track finishing a minute after the one before
+ * @param {...string} ids - The track IDs, oldest first
+ * @returns {Array<Object>} The recently played items, newest first like Spotify's
+ */
+function recentlyPlayed(...ids) {
+  return ids
+    .map(id => {
+      clock += 60 * 1000;
+      return { track: track(id), played_at: new Date(clock).toISOString() };
+    })
+    .reverse();
+}
+
+/**
+ * Empty the queue and add requests for the given tracks
+ * @param {...string} ids - The track IDs, in queue order
+ */
+function fillQueue(...ids) {
+  queueStore.clearQueue();
+  ids.forEach(id => queueStore.addToQueue({
+    trackId: id,
+    trackName: `Song ${id}`,
+    artistName: `Artist ${id}`,
+    requestedBy: 'viewer'
+  }));
+}
+
+/**
+ * Get the track IDs left in the queue
+ * @returns {Array<string>} The track IDs
+ */
+function queuedIds() {
+  return queueStore.getQueue().map(request => request.trackId);
+}
+
+/**
+ * Get the track IDs of a list of requests
+ * @param {Array<Object>} requests - The requests
+ * @returns {Array<string>} The track IDs
+ */
+function ids(requests) {
+  return requests.map(request => request.trackId);
+}
+
+/**
+ * Load queueStore again, like a restart
+ */
+function reloadQueueStore() {
+  delete require.cache[require.resolve('./src/queueStore')];
+  queueStore = require('./src/queueStore');
+}
+
+function runTest() {
+  fillQueue('a', 'b');
+  let result = queueStore.checkAndRemoveCurrentlyPlaying(playing('a'));
+  assert.strictEqual(result.matched, true);
+  assert.deepStrictEqual(ids(result.skipped), []);
+  assert.strictEqual(queueStore.getCurrentlyPlaying().trackId, 'a');
+  assert.deepStrictEqual(queuedIds(), ['b']);
+  console.log('✅ the first request playing is taken off the queue');
+
+  fillQueue('a', 'b', 'c', 'd');
+  result = queueStore.checkAndRemoveCurrentlyPlaying(playing('c'), []);
+  assert.strictEqual(result.matched, true);
+  assert.deepStrictEqual(ids(result.skipped), ['a', 'b']);
+  assert.deepStrictEqual(queuedIds(), ['d']);
+  assert.ok(result.skipped.every(request => request.skippedAt), 'skipped requests get a timestamp');
+  assert.deepStrictEqual(ids(queueStore.getSkippedRequests()).slice(-2), ['a', 'b']);
+  console.log('✅ skipping two songs at once removes both as skipped');
+
+  fillQueue('a', 'b', 'c');
+  result = queueStore.checkAndRemoveCurrentlyPlaying(playing('c'), recentlyPlayed('a'));
+  assert.deepStrictEqual(ids(result.played), ['a']);
+  assert.deepStrictEqual(ids(result.skipped), ['b']);
+  assert.ok(queueStore.getPlayHistory().some(entry => entry.trackId === 'a'), 'songs played between checks are in the play history');
+  console.log('✅ requests in the recently played list count as played, not skipped');
+
+  fillQueue('x', 'y', 'x');
+  queueStore.checkAndRemoveCurrentlyPlaying(playing('x'), []);
+  assert.deepStrictEqual(queuedIds(), ['y', 'x']);
+  queueStore.checkAndRemoveCurrentlyPlaying(playing('y'), recentlyPlayed('x'));
+  assert.deepStrictEqual(queuedIds(), ['x']);
+  result = queueStore.checkAndRemoveCurrentlyPlaying(playing('x'), recentlyPlayed('y'));
+  assert.strictEqual(result.matched, true);
+  assert.deepStrictEqual(queuedIds(), []);
+  console.log('✅ a track requested twice is matched to each request in turn');
+
+  fillQueue('x', 'x', 'z');
+  queueStore.checkAndRemoveCurrentlyPlaying(playing('x'), []);
+  result = queueStore.checkAndRemoveCurrentlyPlaying(playing('x'), recentlyPlayed('x'));
+  assert.strictEqual(result.matched, true);
+  assert.deepStrictEqual(ids(result.played), []);
+  assert.deepStrictEqual(queuedIds(), ['z']);
+  console.log('✅ a track requested twice in a row only removes one request per play');
+
+  fillQueue('a', 'b', 'c');
+  result = queueStore.checkAndRemoveCurrentlyPlaying(playing('other'), recentlyPlayed('a', 'b'));
+  assert.strictEqual(result.matched, false);
+  assert.deepStrictEqual(ids(result.played), ['a', 'b']);
+  assert.deepStrictEqual(queuedIds(), ['c']);
+  console.log('✅ requests that played while nobody was watching are cleared when a non-request plays');
+
+  fillQueue('a', 'b');
+  result = queueStore.checkAndRemoveCurrentlyPlaying(playing('other'), recentlyPlayed('b'));
+  assert.deepStrictEqual(ids(result.skipped), ['a']);
+  assert.deepStrictEqual(ids(result.played), ['b']);
+  assert.deepStrictEqual(queuedIds(), []);
+  console.log('✅ requests ahead of one that played were skipped');
+
+  fillQueue('a', 'b');
+  result = queueStore.checkAndRemoveCurrentlyPlaying(playing('other'), []);
+  assert.deepStrictEqual(queuedIds(), ['a', 'b']);
+  result = queueStore.checkAndRemoveCurrentlyPlaying(playing('other2'), recentlyPlayed('other'));
+  assert.deepStrictEqual(queuedIds(), ['a', 'b']);
+  console.log('✅ the streamer\'s own songs leave the queue alone');
+
+  const earlier = recentlyPlayed('a');
+  queueStore.clearQueue();
+  queueStore.checkAndRemoveCurrentlyPlaying(playing('other'), earlier);
+  fillQueue('a');
+  result = queueStore.checkAndRemoveCurrentlyPlaying(playing('other'), [
+    { track: track('a'), played_at: new Date(Date.now() - 60 * 1000).toISOString() },
+    ...earlier
+  ]);
+  assert.deepStrictEqual(queuedIds(), ['a']);
+  console.log('✅ plays from before the request or already checked don\'t count');
+
+  fillQueue('a', 'b', 'c');
+  queueStore.vetoRequest(0, 'mod');
+  result = queueStore.checkAndRemoveCurrentlyPlaying(playing('c'), []);
+  assert.deepStrictEqual(ids(result.skipped), ['b']);
+  assert.deepStrictEqual(queuedIds(), []);
+  console.log('✅ vetoed requests that were jumped over are dropped without being reported');
+
+  // A restart picks up the saved queue
+  fillQueue('a', 'b');
+  queueStore.checkAndRemoveCurrentlyPlaying(playing('a'), []);
+  reloadQueueStore();
+  assert.deepStrictEqual(queuedIds(), ['b']);
+  assert.strictEqual(queueStore.getCurrentlyPlaying().trackId, 'a');
+  assert.strictEqual(queueStore.getQueue()[0].requestedBy, 'viewer');
+  assert.ok(!fs.existsSync(`${process.env.QUEUE_DATA_PATH}.tmp`), 'the temporary file is renamed into place');
+  console.log('✅ the queue and current song are restored after a restart');
+
+  fs.writeFileSync(process.env.QUEUE_DATA_PATH, JSON.stringify({
+    queue: [
+      { trackId: 'a', trackName: 'Song a', artistName: 'Artist a', requestedBy: 'viewer', addedAt: new Date().toISOString() },
+      { trackId: 'b', name: 'Song b', addedAt: new Date().toISOString() }
+    ],
+    currentlyPlaying: { id: 'c', name: 'Song c' },
+    lastUpdated: new Date().toISOString()
+  }));
+  reloadQueueStore();
+  assert.deepStrictEqual(queuedIds(), ['a']);
+  assert.ok(queueStore.getQueue()[0].id, 'migrated requests get an ID');
+  assert.strictEqual(queueStore.getCurrentlyPlaying(), null);
+  assert.strictEqual(JSON.parse(fs.readFileSync(process.env.QUEUE_DATA_PATH, 'utf8')).version, 2);
+  console.log('✅ files from the old queue manager are migrated');
+
+  // Only requests sent to Spotify can play when the app holds the queue
+  process.env.QUEUE_MODE = 'app';
+  reloadQueueStore();
+
+  fillQueue('a', 'b', 'c');
+  queueStore.markHandedOff(queueStore.getNextHandoff());
+  result = queueStore.checkAndRemoveCurrentlyPlaying(playing('c'), []);
+  assert.strictEqual(result.matched, false);
+  assert.deepStrictEqual(queuedIds(), ['a', 'b', 'c']);
+  result = queueStore.checkAndRemoveCurrentlyPlaying(playing('a'), []);
+  assert.strictEqual(result.matched, true);
+  assert.deepStrictEqual(queuedIds(), ['b', 'c']);
+  console.log('✅ with the app holding the queue, only the request sent to Spotify is matched');
+
+  const replacement = id => ({ trackId: id, trackName: `Song ${id}`, artistName: `Artist ${id}`, requestedBy: 'viewer' });
+  queueStore.replaceRequest(queueStore.getQueue()[0].id, replacement('d'), 'viewer');
+  assert.deepStrictEqual(queuedIds(), ['d', 'c']);
+  queueStore.markHandedOff(queueStore.getNextHandoff());
+  queueStore.replaceRequest(queueStore.getQueue()[0].id, replacement('e'), 'viewer');
+  assert.deepStrictEqual(queuedIds(), ['d', 'c', 'e']);
+  assert.strictEqual(queueStore.getQueue()[0].vetoed, true);
+  console.log('✅ replaced requests keep their place until they\'re sent to Spotify');
+}
+
+try {
+  runTest();
+  fs.rmSync(process.env.QUEUE_DATA_PATH, { force: true });
+  console.log('\nTest completed!');
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+}
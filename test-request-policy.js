@@ -0,0 +1,134 @@
+/**
+ * Test script for the request limits in the request policy
+ * Run this with: node test-request-policy.js
+ *
+ * Every tier gets the same rules so no roles are looked up on Twitch, and the queue,
+ * policy and pending approvals are kept in temporary files.
+ */
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+delete process.env.QUEUE_MODE;
+delete process.env.FAIR_QUEUE;
+// Start from an empty saved queue, policy and approval list
+process.env.QUEUE_DATA_PATH = path.join(os.tmpdir(), 'test-request-policy-queue.json');
+process.env.REQUEST_POLICY_PATH = path.join(os.tmpdir(), 'test-request-policy.json');
+process.env.REQUEST_APPROVAL_PATH = path.join(os.tmpdir(), 'test-request-policy-approval.json');
+[process.env.QUEUE_DATA_PATH, process.env.REQUEST_POLICY_PATH, process.env.REQUEST_APPROVAL_PATH]
+  .forEach(file => fs.rmSync(file, { force: true }));
+
+const queueStore = require('./src/queueStore');
+const requestPolicy = require('./src/requestPolicy');
+const requestApproval = require('./src/requestApproval');
+
+/**
+ * Give every tier the same rules
+ * @param {Object} rules - The rules to change from the defaults
+ */
+function setRules(rules) {
+  const tiers = {};
+  requestPolicy.getPolicy().tiers.forEach(tier => {
+    tiers[tier.name] = { allowed: true, maxPending: 0, cooldownSeconds: 0, allowLinks: true, allowSearch: true, ...rules };
+  });
+  requestPolicy.updatePolicy({ minFollowDays: 0, tiers });
+}
+
+/**
+ * Build a song request like the Spotify client queues
+ * @param {string} id - The track ID
+ * @param {string} requestedBy - The requester's username
+ * @returns {Object} The song request
+ */
+function songRequest(id, requestedBy) {
+  return { trackId: id, trackName: `Song ${id}`, artistName: `Artist ${id}`, requestedBy };
+}
+
+/**
+ * Check a request like the Spotify client does
+ * @param {string} username - The requester's username
+ * @param {Object} options - Options for checkRequest
+ * @returns {Promise<Object>} The policy decision
+ */
+function check(username, options) {
+  return requestPolicy.checkRequest({ username }, 'some song', options);
+}
+
+async function runTest() {
+  setRules({ maxPending: 2 });
+  const decisions = await Promise.all([check('Alice'), check('alice'), check('ALICE')]);
+  assert.deepStrictEqual(decisions.map(decision => decision.allowed), [true, true, false], 'only two redemptions at once get past a limit of 2');
+  assert.match(decisions[2].reason, /already have 2 songs in the queue \(limit 2\)/);
+
+  // One is queued and one fails on Spotify
+  queueStore.addToQueue(songRequest('1', 'Alice'));
+  requestPolicy.releaseRequest('Alice');
+  requestPolicy.releaseRequest('Alice');
+  assert.ok((await check('alice')).allowed, 'a failed request frees its place');
+  assert.ok(!(await check('alice')).allowed, 'a queued request and one in flight fill the limit');
+  requestPolicy.releaseRequest('Alice');
+  console.log('✅ concurrent requests are counted against the pending limit while in flight');
+
+  queueStore.clearQueue();
+  requestApproval.submit(songRequest('2', 'Bob'));
+  requestApproval.submit(songRequest('3', 'Bob'));
+  const waiting = await check('bob');
+  assert.ok(!waiting.allowed, 'requests waiting for approval fill the limit');
+  assert.match(waiting.reason, /already have 2 songs/);
+  assert.ok((await check('carol')).allowed, 'other viewers\' approvals don\'t count');
+  requestPolicy.releaseRequest('carol');
+  console.log('✅ requests waiting for approval count towards the pending limit');
+
+  setRules({ cooldownSeconds: 30 });
+  assert.ok((await check('dave')).allowed);
+  const inFlight = await check('dave');
+  assert.ok(!inFlight.allowed, 'a second request while the first is in flight is held back');
+  assert.match(inFlight.reason, /still being added/);
+  assert.ok(!(await check('dave', { replacing: true })).allowed, 'a replacement waits for the request in flight too');
+
+  requestPolicy.recordRequest('dave');
+  requestPolicy.releaseRequest('dave');
+  const cooling = await check('dave');
+  assert.ok(!cooling.allowed, 'the cooldown starts once the request is queued');
+  assert.match(cooling.reason, /Please wait (29|30) seconds/);
+  assert.ok((await check('dave', { replacing: true })).allowed, 'a replacement doesn\'t wait for the cooldown');
+  requestPolicy.releaseRequest('dave');
+
+  assert.ok((await check('erin')).allowed);
+  requestPolicy.releaseRequest('erin');
+  assert.ok((await check('erin')).allowed, 'a request that failed doesn\'t start the cooldown');
+  requestPolicy.releaseRequest('erin');
+  console.log('✅ cooldowns apply while a request is in flight and after it\'s queued');
+
+  setRules({ maxPending: 1 });
+  queueStore.addToQueue(songRequest('4', 'Frank'));
+  assert.ok(!(await check('frank')).allowed, 'a new request is over the limit');
+  assert.ok((await check('frank', { replacing: true })).allowed, 'replacing the queued request is allowed at the limit');
+  assert.ok(!(await check('frank', { replacing: true })).allowed, 'a second replacement while the first is in flight isn\'t');
+  requestPolicy.releaseRequest('frank');
+  console.log('✅ replacing a request doesn\'t add to the pending count');
+
+  // Nothing has told the policy who the broadcaster is, like chat-only mode before Twitch is connected
+  axios.get = async () => assert.fail('roles aren\'t looked up before the broadcaster is known');
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = message => warnings.push(message);
+  const roles = await requestPolicy.resolveRoles({ userId: '123', roles: { vip: true } });
+  await requestPolicy.resolveRoles({ userId: '456' });
+  console.warn = warn;
+  assert.deepStrictEqual(roles, { subscriberTier: 0, followedAt: null, vip: true }, 'only the roles chat knows about are used');
+  assert.strictEqual(warnings.length, 1, 'the missing broadcaster is only warned about once');
+  console.log('✅ roles aren\'t looked up before the broadcaster is known, with a single warning');
+}
+
+runTest()
+  .then(() => {
+    console.log('\nTest completed!');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,91 @@
+/**
+ * Test script for the repeat rules in the track rules
+ * Run this with: node test-track-rules.js
+ *
+ * Uses the app-held queue in round-robin order, so requests don't always land at the end of the
+ * queue. The queue, rules and approval list are kept in temporary files.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.QUEUE_MODE = 'app';
+process.env.QUEUE_ORDER = 'fair';
+// Start from an empty saved queue, default rules and no approvals
+process.env.QUEUE_DATA_PATH = path.join(os.tmpdir(), 'test-track-rules-queue.json');
+process.env.TRACK_RULES_PATH = path.join(os.tmpdir(), 'test-track-rules.json');
+process.env.REQUEST_APPROVAL_PATH = path.join(os.tmpdir(), 'test-track-rules-approval.json');
+[process.env.QUEUE_DATA_PATH, process.env.TRACK_RULES_PATH, process.env.REQUEST_APPROVAL_PATH]
+  .forEach(file => fs.rmSync(file, { force: true }));
+
+const queueStore = require('./src/queueStore');
+const trackRules = require('./src/trackRules');
+
+/**
+ * Build a track object like Spotify's
+ * @param {string} id - The track ID
+ * @param {string} artist - The artist's ID, also used as their name
+ * @returns {Object} The track
+ */
+function track(id, artist) {
+  return { id, name: `Song ${id}`, artists: [{ id: artist, name: artist }] };
+}
+
+/**
+ * Queue a track like the Spotify client does
+ * @param {Object} queued - The track
+ * @param {string} requestedBy - The requester's username
+ * @returns {Object} The song request
+ */
+function request(queued, requestedBy) {
+  const songRequest = {
+    trackId: queued.id,
+    trackName: queued.name,
+    artistName: queued.artists[0].name,
+    artistIds: queued.artists.map(artist => artist.id),
+    requestedBy
+  };
+  queueStore.addToQueue(songRequest);
+  return songRequest;
+}
+
+function runTest() {
+  assert.strictEqual(trackRules.getRules().artistCooldownMinutes, 0);
+  assert.ok(trackRules.checkRepeats(track('1', 'Adele'), { requestedBy: 'alice' }).allowed, 'anything can be requested to start with');
+
+  queueStore.checkAndRemoveCurrentlyPlaying({ item: track('playing', 'Queen') });
+  const afterPlaying = trackRules.checkRepeats(track('2', 'Queen'), { requestedBy: 'alice' });
+  assert.ok(!afterPlaying.allowed, 'a request at the front of the queue can\'t follow the same artist');
+  assert.match(afterPlaying.reason, /Queen would play back to back/);
+  console.log('✅ the same artist can\'t play back to back without an artist cooldown');
+
+  request(track('3', 'Adele'), 'alice');
+  const replaced = request(track('4', 'Beyonce'), 'alice');
+  // Bob's first request goes between Alice's two, right after her Adele song
+  assert.ok(!trackRules.checkRepeats(track('5', 'Adele'), { requestedBy: 'bob' }).allowed, 'the request before it in round-robin order is checked');
+  assert.ok(!trackRules.checkRepeats(track('6', 'Beyonce'), { requestedBy: 'bob' }).allowed, 'the request after it is checked');
+  assert.ok(trackRules.checkRepeats(track('7', 'Coldplay'), { requestedBy: 'bob' }).allowed);
+  // Alice's third request goes at the end, after her Beyonce song
+  assert.ok(trackRules.checkRepeats(track('8', 'Adele'), { requestedBy: 'alice' }).allowed, 'a request only has to differ from its own neighbours');
+  console.log('✅ neighbours come from where the request lands in round-robin order');
+
+  assert.ok(!trackRules.checkRepeats(track('9', 'Adele'), { requestedBy: 'alice', replaces: replaced.id }).allowed, 'a replacement takes the old request\'s place');
+  assert.ok(trackRules.checkRepeats(track('10', 'Coldplay'), { requestedBy: 'alice', replaces: replaced.id }).allowed);
+  console.log('✅ replacements are checked against the requests around the one they replace');
+
+  trackRules.updateRules({ ...trackRules.getRules(), artistCooldownMinutes: 30 });
+  const cooling = trackRules.checkRepeats(track('11', 'Queen'), { requestedBy: 'carol' });
+  assert.ok(!cooling.allowed, 'an artist played within the cooldown can\'t be requested');
+  assert.match(cooling.reason, /Queen was played too recently/);
+  console.log('✅ the artist cooldown still applies on top');
+}
+
+try {
+  runTest();
+  console.log('\nTest completed!');
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+}
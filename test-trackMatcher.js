@@ -0,0 +1,117 @@
+/**
+ * Test script for picking the track a viewer meant from search results
+ * Run this with: node test-trackMatcher.js
+ *
+ * Each case scores a hand-written list of search results like Spotify's, so the matcher
+ * can be checked without searching Spotify.
+ */
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+
+// Keep the match decisions out of the project's log
+process.env.SEARCH_MATCH_LOG_PATH = path.join(os.tmpdir(), 'test-track-matcher.log');
+const trackMatcher = require('./src/trackMatcher');
+
+/**
+ * Build a track object like Spotify's
+ * @param {string} id - The track ID
+ * @param {string} name - The track title
+ * @param {string} artist - The artist's name
+ * @param {Object} extra - Other fields, e.g. popularity or album
+ * @returns {Object} The track
+ */
+function track(id, name, artist, extra = {}) {
+  return { id, name, artists: [{ id: `artist-${id}`, name: artist }], popularity: 50, ...extra };
+}
+
+/**
+ * Check that a request picks the expected track
+ * @param {string} query - The song request
+ * @param {Array<Object>} tracks - The search results
+ * @param {string} expectedId - The ID of the track the viewer meant
+ */
+function expectMatch(query, tracks, expectedId) {
+  const match = trackMatcher.pickBestMatch(query, tracks);
+  assert.ok(match.confident, `${query} should be a confident match (score ${match.score})`);
+  assert.strictEqual(match.track.id, expectedId, query);
+}
+
+/**
+ * Check that a request is rejected as not confident
+ * @param {string} query - The song request
+ * @param {Array<Object>} tracks - The search results
+ */
+function expectRejected(query, tracks) {
+  const match = trackMatcher.pickBestMatch(query, tracks);
+  assert.ok(!match.confident, `${query} shouldn't match (score ${match.score})`);
+  assert.match(match.reason, /Not sure which song you meant|No tracks found/);
+}
+
+function runTest() {
+  assert.deepStrictEqual(trackMatcher.parseQuery('bohemian rhapsody by queen'), { title: 'bohemian rhapsody', artist: 'queen' });
+  assert.deepStrictEqual(trackMatcher.parseQuery('Queen - Bohemian Rhapsody'), { title: 'Bohemian Rhapsody', artist: 'Queen' });
+  assert.deepStrictEqual(trackMatcher.parseQuery('bohemian rhapsody'), { title: 'bohemian rhapsody', artist: null });
+  console.log('✅ "title by artist" and "artist - title" requests are parsed');
+
+  expectMatch('bohemian rhapsody by queen', [
+    track('cover', 'Bohemian Rhapsody', 'Rhapsody Tribute Band'),
+    track('queen', 'Bohemian Rhapsody - Remastered 2011', 'Queen')
+  ], 'queen');
+  expectMatch('Queen - Bohemian Rhapsody', [
+    track('cover', 'Bohemian Rhapsody', 'Rhapsody Tribute Band'),
+    track('queen', 'Bohemian Rhapsody - Remastered 2011', 'Queen')
+  ], 'queen');
+  expectMatch('Bohemian Rhapsody - Queen', [track('queen', 'Bohemian Rhapsody', 'Queen')], 'queen');
+  console.log('✅ named artists pick the right version, whichever way round they are');
+
+  expectMatch('stand by me', [
+    track('king', 'Stand By Me', 'Ben E. King', { popularity: 80 }),
+    track('stand', 'Stand', 'R.E.M.')
+  ], 'king');
+  expectMatch('wait by the river', [track('huron', 'Wait by the River', 'Lord Huron')], 'huron');
+  expectMatch('stand by me by ben e king', [
+    track('lennon', 'Stand By Me', 'John Lennon'),
+    track('king', 'Stand By Me', 'Ben E. King')
+  ], 'king');
+  console.log('✅ titles containing "by" still match the whole title');
+
+  expectMatch('hello adele', [
+    track('richie', 'Hello', 'Lionel Richie'),
+    track('adele', 'Hello', 'Adele')
+  ], 'adele');
+  console.log('✅ requests naming the artist without "by" match against the artist too');
+
+  expectMatch('shape of you', [
+    track('karaoke', 'Shape of You (Karaoke Version)', 'Karaoke Hits', { popularity: 90 }),
+    track('ed', 'Shape of You', 'Ed Sheeran')
+  ], 'ed');
+  expectMatch('shape of you karaoke', [
+    track('ed', 'Shape of You', 'Ed Sheeran'),
+    track('karaoke', 'Shape of You (Karaoke Version)', 'Karaoke Hits')
+  ], 'karaoke');
+  console.log('✅ karaoke and similar versions lose unless they were asked for');
+
+  expectMatch('bohemian rhapsody by queen', [
+    track('unavailable', 'Bohemian Rhapsody', 'Queen', { is_playable: false, popularity: 90 }),
+    track('playable', 'Bohemian Rhapsody - Remastered 2011', 'Queen')
+  ], 'playable');
+  expectMatch('bohemian rhapsody by queen', [
+    track('unavailable', 'Bohemian Rhapsody', 'Queen', { is_playable: false }),
+    track('cover', 'Bohemian Rhapsody', 'Rhapsody Tribute Band')
+  ], 'unavailable');
+  console.log('✅ playable versions win, and an unavailable one is still picked if nothing else matches');
+
+  expectRejected('some song nobody has heard of', [track('other', 'Completely Different', 'Someone Else')]);
+  expectRejected('anything', []);
+  console.log('✅ requests without a confident match are rejected');
+}
+
+try {
+  runTest();
+  console.log('\nTest completed!');
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+}
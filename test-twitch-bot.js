@@ -0,0 +1,153 @@
+/**
+ * Test script for the Twitch chat bot using a local IRC stand-in
+ * Run this with: node test-twitch-bot.js
+ *
+ * The stand-in speaks just enough of Twitch's IRC-over-WebSocket protocol for tmi.js
+ * to log in and join, then sends chat commands and checks the bot's replies.
+ * Spotify is replaced by a fake client that adds requests to the local queue.
+ */
+process.env.TWITCH_CHANNEL = 'teststreamer';
+process.env.SONG_REQUEST_PERMISSION = 'subscriber';
+// Use the default chat message templates
+process.env.CHAT_MESSAGES_PATH = require('path').join(require('os').tmpdir(), 'test-chat-messages.json');
+// Start from an empty saved queue
+process.env.QUEUE_DATA_PATH = require('path').join(require('os').tmpdir(), 'test-twitch-bot-queue.json');
+require('fs').rmSync(process.env.QUEUE_DATA_PATH, { force: true });
+
+const assert = require('assert');
+const WebSocket = require('ws');
+const twitchBot = require('./src/twitchBot');
+const queueStore = require('./src/queueStore');
+
+const PORT = 8766;
+const CHANNEL = '#teststreamer';
+
+// Fake Spotify client that queues whatever is requested
+const fakeSpotifyClient = {
+  isInitialized: () => true,
+  addSongToQueue: async (query, requestedBy, options = {}) => {
+    const songRequest = {
+      trackId: `track-${query.replace(/\s+/g, '-')}`,
+      trackName: query,
+      artistName: 'Test Artist',
+      durationMs: 3 * 60 * 1000,
+      requestedBy
+    };
+    if (options.replaces) {
+      queueStore.replaceRequest(options.replaces, songRequest, requestedBy);
+    } else {
+      queueStore.addToQueue(songRequest);
+    }
+    return { success: true, requestId: songRequest.id, ...songRequest };
+  },
+  getCurrentlyPlaying: async () => ({
+    item: { id: 'track-now-playing', name: 'Now Playing', artists: [{ name: 'Test Artist' }] }
+  })
+};
+
+// Chatters with different badges
+const viewer = { name: 'viewer', badges: '' };
+const subscriber = { name: 'subscriber', badges: 'subscriber/1' };
+const moderator = { name: 'moderator', badges: 'moderator/1' };
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTest() {
+  const server = new WebSocket.Server({ port: PORT });
+  const replies = [];
+  let botSocket = null;
+
+  server.on('connection', (socket) => {
+    botSocket = socket;
+    socket.on('message', (data) => {
+      data.toString().split('\r\n').filter(Boolean).forEach(line => {
+        if (line.startsWith('NICK ')) {
+          const nick = line.slice(5);
+          socket.send(`:tmi.twitch.tv 001 ${nick} :Welcome, GLHF!\r\n:tmi.twitch.tv 376 ${nick} :>`);
+        } else if (line.startsWith('JOIN ')) {
+          const channel = line.slice(5);
+          socket.send(`@badges=;mod=0 :tmi.twitch.tv USERSTATE ${channel}\r\n@slow=0 :tmi.twitch.tv ROOMSTATE ${channel}`);
+        } else if (line.startsWith('PRIVMSG ')) {
+          replies.push(line.slice(line.indexOf(':') + 1));
+          // Twitch acknowledges chat messages with a USERSTATE
+          socket.send(`@badges=;mod=0 :tmi.twitch.tv USERSTATE ${line.split(' ')[1]}`);
+        }
+      });
+    });
+  });
+
+  // Send a chat message from a chatter and wait for the bot's reply
+  const chat = async (chatter, message) => {
+    const tags = `@badges=${chatter.badges};display-name=${chatter.name};mod=${chatter.badges.startsWith('moderator') ? 1 : 0}`;
+    botSocket.send(`${tags} :${chatter.name}!${chatter.name}@${chatter.name}.tmi.twitch.tv PRIVMSG ${CHANNEL} :${message}`);
+    await wait(200);
+    return replies.pop();
+  };
+
+  const connected = await twitchBot.initialize(fakeSpotifyClient, {
+    connection: { server: 'localhost', port: PORT, secure: false, reconnect: false },
+    identity: { username: 'testbot', password: 'oauth:test' }
+  });
+  await wait(200);
+  assert.ok(connected && twitchBot.isConnected(), 'the bot should connect to the IRC stand-in');
+  console.log('✅ bot connects and joins the channel');
+
+  let reply = await chat(viewer, '!sr Song One');
+  assert.match(reply, /limited to subscribers/, 'viewers without the subscriber badge should be refused');
+  assert.strictEqual(queueStore.getQueue().length, 0);
+  console.log('✅ !sr is gated by SONG_REQUEST_PERMISSION');
+
+  reply = await chat(subscriber, '!sr Song One');
+  assert.strictEqual(reply, '@subscriber queued "Song One" by Test Artist, position 1, plays in less than a minute');
+  reply = await chat(subscriber, '!sr Song Two');
+  assert.strictEqual(reply, '@subscriber queued "Song Two" by Test Artist, position 2, plays in about 3 min');
+  reply = await chat(moderator, '!sr Song Three');
+  assert.strictEqual(reply, '@moderator queued "Song Three" by Test Artist, position 3, plays in about 6 min');
+  console.log('✅ !sr queues songs through addSongToQueue and replies with the position and wait');
+
+  reply = await chat(viewer, '!queue');
+  assert.strictEqual(reply, '1. "Song One" by Test Artist (subscriber) | 2. "Song Two" by Test Artist (subscriber) | 3. "Song Three" by Test Artist (moderator)');
+  console.log('✅ !queue lists pending requests');
+
+  reply = await chat(subscriber, '!myrequests');
+  assert.strictEqual(reply, '@subscriber #1 "Song One" by Test Artist | #2 "Song Two" by Test Artist');
+  console.log('✅ !myrequests lists the chatter\'s requests');
+
+  reply = await chat(subscriber, '!wrongsong');
+  assert.match(reply, /Removed "Song Two"/, '!wrongsong should remove the most recent request');
+  reply = await chat(subscriber, '!myrequests');
+  assert.strictEqual(reply, '@subscriber #1 "Song One" by Test Artist');
+  console.log('✅ !wrongsong removes the chatter\'s last request');
+
+  reply = await chat(subscriber, '!wrongsong Song Four');
+  assert.strictEqual(reply, '@subscriber queued "Song Four" by Test Artist, position 2, plays in about 3 min');
+  reply = await chat(subscriber, '!myrequests');
+  assert.strictEqual(reply, '@subscriber #2 "Song Four" by Test Artist');
+  console.log('✅ !wrongsong <song> replaces the chatter\'s last request');
+
+  replies.length = 0;
+  reply = await chat(viewer, '!removesong 1');
+  assert.strictEqual(reply, undefined, 'non-moderators should be ignored');
+  reply = await chat(moderator, '!removesong four');
+  assert.match(reply, /Removed "Song Four" by Test Artist \(requested by subscriber\)/);
+  reply = await chat(viewer, '!queue');
+  assert.strictEqual(reply, '1. "Song Three" by Test Artist (moderator)');
+  console.log('✅ !removesong lets moderators remove requests');
+
+  reply = await chat(viewer, '!song');
+  assert.strictEqual(reply, 'Now playing: "Now Playing" by Test Artist');
+  console.log('✅ !song shows the current song');
+
+  await twitchBot.disconnect();
+  server.close();
+}
+
+runTest()
+  .then(() => {
+    console.log('\nTest completed!');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
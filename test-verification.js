@@ -3,11 +3,13 @@
  */
 const axios = require('axios');
 const crypto = require('crypto');
+require('dotenv').config();
 
 // Configuration
 const webhookUrl = 'https://web-production-6fc25.up.railway.app/webhook/twitch';
 const localWebhookUrl = 'http://localhost:8888/webhook/twitch';
-const webhookSecret = 'testsecret'; // This doesn't need to match your actual secret for this test
+// Verification challenges are signature checked, so this must match the bot's webhook secret
+const webhookSecret = process.env.TWITCH_WEBHOOK_SECRET || 'testsecret';
 
 // Generate a test message ID and timestamp
 const messageId = crypto.randomUUID();
@@ -0,0 +1,125 @@
+/**
+ * Test script for moderator checks on the approvals page and dashboard
+ * Run this with: node test-viewer-auth.js
+ *
+ * Starts Twitch the way the IRC transport does (no EventSub), then logs viewers in and
+ * checks who getModerator lets through. Twitch's API is replaced by recorded-style responses.
+ */
+process.env.TWITCH_CHANNEL = 'teststreamer';
+delete process.env.USE_EVENTSUB;
+// Use an empty policy, queue and approval list
+const os = require('os');
+const path = require('path');
+process.env.REQUEST_POLICY_PATH = path.join(os.tmpdir(), 'test-viewer-auth-policy.json');
+process.env.QUEUE_DATA_PATH = path.join(os.tmpdir(), 'test-viewer-auth-queue.json');
+process.env.REQUEST_APPROVAL_PATH = path.join(os.tmpdir(), 'test-viewer-auth-approval.json');
+[process.env.REQUEST_POLICY_PATH, process.env.QUEUE_DATA_PATH, process.env.REQUEST_APPROVAL_PATH]
+  .forEach(file => require('fs').rmSync(file, { force: true }));
+
+const assert = require('assert');
+const axios = require('axios');
+const twitchAuth = require('./src/twitchAuth');
+const twitchEventSub = require('./src/twitchEventSub');
+const viewerAuth = require('./src/viewerAuth');
+
+// Twitch users by login, and the channel's moderators by user ID
+const users = {
+  teststreamer: { id: '100', login: 'teststreamer', display_name: 'TestStreamer' },
+  moderator: { id: '200', login: 'moderator', display_name: 'Moderator' },
+  viewer: { id: '300', login: 'viewer', display_name: 'Viewer' }
+};
+const moderatorIds = ['200'];
+
+// The user whose token the next viewer login returns
+let loggingIn = null;
+
+twitchAuth.getAccessToken = () => 'streamer-token';
+
+axios.post = async (url) => {
+  assert.strictEqual(url, 'https://id.twitch.tv/oauth2/token');
+  return { data: { access_token: `token-${loggingIn}` } };
+};
+
+axios.get = async (url) => {
+  const { pathname, searchParams } = new URL(url);
+
+  if (pathname === '/helix/users') {
+    const login = searchParams.get('login') || loggingIn;
+    return { data: { data: users[login] ? [users[login]] : [] } };
+  }
+  if (pathname === '/helix/moderation/moderators') {
+    assert.strictEqual(searchParams.get('broadcaster_id'), '100', 'roles are looked up in the broadcaster\'s channel');
+    return { data: { data: moderatorIds.includes(searchParams.get('user_id')) ? [{}] : [] } };
+  }
+  // Not a VIP, subscriber or follower
+  return { data: { data: [] } };
+};
+
+/**
+ * Log a viewer in through the Twitch callback
+ * @param {string} login - The viewer's Twitch login
+ * @returns {Promise<Object>} An Express-like request carrying the session cookie
+ */
+async function logIn(login) {
+  loggingIn = login;
+  const state = new URL(viewerAuth.getAuthorizationUrl('/approvals')).searchParams.get('state');
+  const result = await viewerAuth.handleCallback('code', state);
+  assert.ok(result.success, `${login} logs in`);
+  return { headers: { cookie: `viewer_session=${result.sessionId}` } };
+}
+
+/**
+ * Build an Express-like response that records its status and body
+ * @returns {Object} The response
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+async function runTest() {
+  // What index.js does for the IRC transport once the stored tokens are loaded
+  assert.strictEqual(await twitchEventSub.initializeBroadcaster(), '100');
+
+  const streamerResponse = createResponse();
+  const streamer = await viewerAuth.getModerator(await logIn('teststreamer'), streamerResponse);
+  assert.deepStrictEqual(streamer, { userId: '100', login: 'teststreamer', displayName: 'TestStreamer' });
+  assert.strictEqual(streamerResponse.body, null, 'nothing is sent for the broadcaster');
+  console.log('✅ the broadcaster is let through with the IRC transport');
+
+  const moderator = await viewerAuth.getModerator(await logIn('moderator'), createResponse());
+  assert.strictEqual(moderator.login, 'moderator');
+  console.log('✅ moderators are let through');
+
+  const viewerResponse = createResponse();
+  assert.strictEqual(await viewerAuth.getModerator(await logIn('viewer'), viewerResponse), null);
+  assert.strictEqual(viewerResponse.statusCode, 403);
+  assert.match(viewerResponse.body.error, /Viewer isn't a moderator/);
+  console.log('✅ other viewers get a 403');
+
+  const loggedOutResponse = createResponse();
+  assert.strictEqual(await viewerAuth.getModerator({ headers: {} }, loggedOutResponse, '/auth-streamer'), null);
+  assert.strictEqual(loggedOutResponse.statusCode, 401);
+  assert.strictEqual(loggedOutResponse.body.loginUrl, '/viewer/login?returnTo=/auth-streamer');
+  console.log('✅ logged out visitors get a 401 with a login link');
+}
+
+runTest()
+  .then(() => {
+    console.log('\nTest completed!');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });